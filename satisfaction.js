@@ -9,27 +9,94 @@
 */
 
 const SF_PUBLIC_VERSION = "1.2.0";
+const SF_COMPONENT_MODULE_BINDING_PREFIX = "sf-component-";
+const SF_ROUTING_REDIRECT_LIMIT = 10;
+const SF_MODEL_FLUSH_LIMIT = 100;
+const SF_COMMAND_KEY_ALIASES = { enter: "Enter", esc: "Escape", escape: "Escape", space: " ", tab: "Tab",
+    up: "ArrowUp", down: "ArrowDown", left: "ArrowLeft", right: "ArrowRight", delete: "Delete", backspace: "Backspace" };
+const SF_COMMAND_SYSTEM_KEYS = ["ctrl", "alt", "shift", "meta"];
+const SF_VALIDATION_RULES = ["required", "min", "max", "minlength", "maxlength", "pattern", "validator"];
+const SF_VALIDATION_STATE_MEMBERS = ["valid", "error", "validating", "touched"];
+const SF_PROPERTY_PROXY_TARGET = Symbol("sf_property_proxy_target");
+const SF_EXPRESSION_BINARY_OPERATORS = [["||", "??"], ["&&"], ["===", "!==", "==", "!="], ["<=", ">=", "<", ">"], ["+", "-"], ["*", "/", "%"]];
+const SF_EXPRESSION_BLOCKED_MEMBERS = ["constructor", "prototype", "__proto__",
+    "__defineGetter__", "__defineSetter__", "__lookupGetter__", "__lookupSetter__"];
+const SF_EXPRESSION_OPERATORS = ["===", "!==", "==", "!=", "<=", ">=", "&&", "||", "??",
+    "+", "-", "*", "/", "%", "<", ">", "!", "?", ":", ".", ",", "(", ")", "[", "]", "|"];
 
 /*
     DEPARTMENT -> COMMON VARIABLES
 */
 
 var sf_component_javascript_allowed = true;
-var sf_component_style_add_new_class = true;
+var sf_component_script_mode = "eval";
+var sf_component_script_nonce = document.currentScript?.nonce || null;
+var sf_component_script_bindings = new Object();
 var sf_component_loading_indicator = null;
+var sf_component_load_timeout = 0;
+var sf_component_load_retries = 0;
+var sf_component_load_retry_delay = 500;
+var sf_component_error_template = null;
+var sf_component_error_callback = null;
+var sf_component_cache_policy = "no-store";
+var sf_component_cache_version = null;
+var sf_component_prefetch_routes = false;
 var sf_component_templates = new Object();
+var sf_component_template_requests = new Object();
 var sf_component_last_set = null;
+var sf_component_script_running = null;
 var sf_component_navigation_name_set = null;
+var sf_component_navigation_params_set = null;
+var sf_component_navigation_counter = 0;
 
 var sf_routing_allowed = false;
+var sf_routing_mode = "path";
 var sf_routing_path_template = null;
+var sf_routing_before_navigate_guards = new Array();
+var sf_routing_after_navigate_guards = new Array();
+var sf_routing_history_index = 0;
+var sf_routing_history_ignore_pop = false;
+var sf_routing_handled_href = null;
 
 var sf_model_multiplier_default_functions_allowed = true;
+var sf_model_deep_reactivity_allowed = false;
+var sf_model_update_mode = "microtask";
+var sf_model_pending_updates = new Map();
+var sf_model_flush_scheduled = false;
+var sf_model_flush_callbacks = new Array();
+var sf_model_elements = new WeakMap();
+
+var sf_property_dependencies = null;
+
+var sf_validation_messages = {
+    required: "This field is required",
+    min: "The value must be at least {min}",
+    max: "The value must be at most {max}",
+    minlength: "Enter at least {minlength} characters",
+    maxlength: "Enter at most {maxlength} characters",
+    pattern: "The value has an invalid format",
+    validator: "The value is invalid"
+};
+
+var sf_expression_cache = new Map();
+var sf_expression_globals = { $state: sf_state_create_scope() };
+var sf_expression_filters = {
+    upper: value => sf_expression_to_string(value).toUpperCase(),
+    lower: value => sf_expression_to_string(value).toLowerCase(),
+    trim: value => sf_expression_to_string(value).trim(),
+    json: value => JSON.stringify(value),
+    default: (value, defaultValue) => value === null || value === undefined || value === "" ? defaultValue : value,
+    number: (value, digits = 0, locale) => Number(value).toLocaleString(locale, { minimumFractionDigits: digits, maximumFractionDigits: digits }),
+    currency: (value, currency = "USD", locale) => Number(value).toLocaleString(locale, { style: "currency", currency: currency }),
+    date: (value, locale) => new Date(value).toLocaleDateString(locale)
+};
 
 var sf_point_shared_objects = new Object();
 
 var sf_state_ls_prefix = 'sf_';
 var sf_states = new Object();
+var sf_state_subscriptions = new Map();
+var sf_state_bound_elements = new Set();
 
 var sf_resource_allowed = true;
 var sf_resource_content = new Object();
@@ -42,19 +109,27 @@ var sf_resource_callback_after = null;
 
 /**
  * Initialize and prepare to use framework dependencies
+ * @param {function} [callbackSetup=null] - A function to configure the framework before components are set up.
+ * @param {string} [routingMode=null] - The routing mode: 'path' or 'hash' ('#/path' URLs for static hosting).
+ * Defaults to the value of the 'allow-routing' attribute if it is 'hash', otherwise 'path'.
  * @return {void}
  */
-function sf_initialize(callbackSetup = null) {
+function sf_initialize(callbackSetup = null, routingMode = null) {
     sf_routing_allowed = document.body.hasAttribute("allow-routing");
+    sf_routing_mode = routingMode ?? (document.body.getAttribute("allow-routing") === "hash" ? "hash" : "path");
 
     if(callbackSetup) {
         callbackSetup();
     }
 
+    window.addEventListener("storage", sf_state_sync_storage);
+
+    const setup = () => sf_component_load_bundles().then(sf_component_setup);
+
     if(sf_resource_allowed) {
-        sf_resource_load_all(sf_component_setup);
+        sf_resource_load_all(setup);
     } else {
-        sf_component_setup();
+        setup();
     }
     
     console.log("Satisfaction initialized, v." + SF_PUBLIC_VERSION);
@@ -71,16 +146,24 @@ function sf_initialize(callbackSetup = null) {
  */
 function sf_component_setup() {
     sf_component_load_default(document.body);
+    sf_component_prefetch(document.body);
 
     if(sf_routing_allowed) {
-        sf_routing_find_navigation_route();
+        sf_routing_history_index = window.history.state?.index ?? 0;
+        window.addEventListener("popstate", sf_routing_restore_history_entry);
+
+        if(sf_routing_mode === "hash") {
+            window.addEventListener("hashchange", sf_routing_restore_hash_entry);
+        }
+
+        sf_routing_find_navigation_route("replace");
     }
 }
 
 /**
  * Loads the default components specified in the target element (with 'default' attribute).
  * @param {HTMLElement} targetElement - The target element to search for default components.
- * @return {void}
+ * @return {Promise} A promise that resolves when the default components and their subcomponents are loaded.
  */
 function sf_component_load_default(targetElement) {
     const components = targetElement.querySelectorAll("component[default]");
@@ -89,8 +172,10 @@ function sf_component_load_default(targetElement) {
     
     if(components && components.length > 0) {
         const componentNames = Array.from(components).map(component => component.getAttribute("name"));
-        sf_component_load(componentNames);
+        return sf_component_load(componentNames);
     }
+
+    return Promise.resolve();
 }
 
 /**
@@ -112,51 +197,268 @@ function sf_component_claim_anonymous(componentElements) {
 }
 
 /**
- * Load/Reload component and prepare it for use
+ * Load/Reload components and prepare them for use, templates of different components are fetched in parallel.
  * @param {string[]} componentNames - An array of component names to load.
  * @param {boolean} [preloadSubcomponents=true] - Whether to preload subcomponents.
- * @param {*} [sharedInputData=null] - Shared object from another place.
- * @return {void}
+ * @param {*} [sharedInputData=null] - Shared object from another place, passed to every component.
+ * @return {Promise} A promise that resolves when the components and their default subcomponents are loaded
+ * (or failed to load, see the 'load-error' attribute).
  */
 function sf_component_load(componentNames, preloadSubcomponents = true, sharedInputData = null) {
-    document.body.querySelectorAll('component[name="' + componentNames[0] + '"]').forEach(
-        function(componentElement, index, array) {
-            if(!componentElement.hasAttribute("loaded")) {
-                if(sf_component_loading_indicator) {
-                    componentElement.innerHTML = sf_component_loading_indicator;
-                }
+    const promises = componentNames.flatMap(componentName =>
+        Array.from(document.body.querySelectorAll('component[name="' + componentName + '"]')).map(
+            componentElement => sf_component_load_element(componentElement, preloadSubcomponents, sharedInputData)
+        )
+    );
+
+    return Promise.all(promises).then(() => undefined);
+}
+
+/**
+ * Load a component element. A component that is loading already returns the promise of the current load.
+ * @param {HTMLElement} componentElement - The component element to load.
+ * @param {boolean} [preloadSubcomponents=true] - Whether to preload subcomponents.
+ * @param {*} [sharedInputData=null] - Shared object from another place.
+ * @return {Promise} A promise that resolves when the component and its default subcomponents are loaded.
+ */
+function sf_component_load_element(componentElement, preloadSubcomponents = true, sharedInputData = null) {
+    if(componentElement.hasAttribute("loaded")) {
+        return Promise.resolve();
+    }
+
+    if(componentElement.sf_loading) {
+        return componentElement.sf_loading;
+    }
+
+    componentElement.removeAttribute("load-error");
+
+    if(componentElement.sf_slot_nodes === undefined) {
+        componentElement.sf_slot_nodes = Array.from(componentElement.childNodes);
+    }
+
+    if(sf_component_loading_indicator) {
+        componentElement.innerHTML = sf_component_loading_indicator;
+    }
+
+    const source = componentElement.getAttribute("src");
+    const loadToken = componentElement.sf_load_token = (componentElement.sf_load_token ?? 0) + 1;
+
+    function sf_component_set_content(content) {
+        if(componentElement.sf_load_token !== loadToken) {
+            return;
+        }
+
+        return sf_component_set(componentElement, content, sharedInputData)
+            .then(() => preloadSubcomponents ? sf_component_load_default(componentElement) : null);
+    }
+
+    let loading;
 
-                const source = componentElement.getAttribute("src");
-
-                if(sf_component_templates[source]) {
-                    sf_component_set(componentElement, sf_component_templates[source], sharedInputData)
-                        .then(() => { sf_component_load_more(componentElement); });
-                } else {
-                    const xmlHttpRequest = new XMLHttpRequest();
-                    xmlHttpRequest.open('GET', source, true);
-                    xmlHttpRequest.setRequestHeader("Cache-Control", "no-cache, no-store, max-age=0");
-                    xmlHttpRequest.onload = function() {
-                        sf_component_templates[source] = this.responseText;
-                        sf_component_set(componentElement, this.responseText, sharedInputData)
-                            .then(() => { sf_component_load_more(componentElement); });
-                    };
-                    xmlHttpRequest.send();
+    if(sf_component_templates[source] !== undefined) {
+        loading = sf_component_set_content(sf_component_templates[source]);
+    } else {
+        loading = sf_component_get_template(source).then(
+            sf_component_set_content,
+            function(error) {
+                if(componentElement.sf_load_token === loadToken) {
+                    sf_component_set_error(componentElement, error);
                 }
             }
+        );
+    }
+
+    componentElement.sf_loading = Promise.resolve(loading).finally(() => {
+        if(componentElement.sf_load_token === loadToken) {
+            componentElement.sf_loading = null;
         }
+    });
+
+    return componentElement.sf_loading;
+}
+
+/**
+ * Get a component template from the templates cache or fetch it, simultaneous requests of a template share one fetch.
+ * @param {string} source - The URL of the template.
+ * @return {Promise<string>} A promise that resolves with the template.
+ */
+function sf_component_get_template(source) {
+    if(sf_component_templates[source] !== undefined) {
+        return Promise.resolve(sf_component_templates[source]);
+    }
+
+    sf_component_template_requests[source] = sf_component_template_requests[source] ?? sf_component_fetch_template(source)
+        .then(content => {
+            sf_component_templates[source] = content;
+            return content;
+        })
+        .finally(() => delete sf_component_template_requests[source]);
+
+    return sf_component_template_requests[source];
+}
+
+/**
+ * Prefetch templates of components with the 'prefetch' attribute within the target element when the browser is idle.
+ * If 'sf_component_prefetch_routes' is enabled, templates of routed components are prefetched too.
+ * @param {HTMLElement} targetElement - The target element to search for components.
+ * @return {void}
+ */
+function sf_component_prefetch(targetElement) {
+    const componentElements = Array.from(targetElement.querySelectorAll("component[prefetch]"));
+
+    if(sf_component_prefetch_routes) {
+        document.querySelectorAll("route[navigation-component-name]").forEach(routeElement => {
+            const componentName = routeElement.getAttribute("navigation-component-name");
+            componentElements.push(...targetElement.querySelectorAll('component[name="' + componentName + '"]'));
+        });
+    }
+
+    new Set(componentElements.map(element => element.getAttribute("src"))).forEach(source => {
+        sf_run_idle(() => sf_component_get_template(source).catch(() => null));
+    });
+}
+
+/**
+ * Load the bundles specified in the document (<bundle src="...">).
+ * @return {Promise} A promise that resolves when all bundles are loaded or failed to load.
+ */
+function sf_component_load_bundles() {
+    const promises = Array.from(document.querySelectorAll("bundle[src]")).map(
+        element => sf_component_load_bundle(element.getAttribute("src")).catch(error => console.error(error.message))
     );
+    return Promise.all(promises);
+}
+
+/**
+ * Load a bundle file with many component templates and register them in the templates cache at once.
+ * Every template of the bundle is wrapped into <template component-src="..."> with the source of the component.
+ * @param {string} source - The URL of the bundle.
+ * @return {Promise} A promise that resolves when the templates are registered.
+ */
+function sf_component_load_bundle(source) {
+    return sf_component_fetch_template(source).then(sf_component_register_bundle);
+}
+
+/**
+ * Register the component templates of a bundle in the templates cache.
+ * @param {string} content - The content of the bundle.
+ * @return {void}
+ */
+function sf_component_register_bundle(content) {
+    const bundleElement = document.createElement("template");
+    bundleElement.innerHTML = content;
+    bundleElement.content.querySelectorAll("template[component-src]").forEach(templateElement => {
+        sf_component_templates[templateElement.getAttribute("component-src")] = templateElement.innerHTML;
+    });
+}
+
+/**
+ * Get the request URL of a component template according to 'sf_component_cache_policy': the 'version' policy
+ * adds 'sf_component_cache_version' to the URL so that HTTP caches are invalidated by a new version.
+ * @param {string} source - The URL of the template.
+ * @return {string} The request URL.
+ */
+function sf_component_get_request_url(source) {
+    if(sf_component_cache_policy !== "version" || !sf_component_cache_version) {
+        return source;
+    }
+
+    const url = new URL(source, document.baseURI);
+    url.searchParams.set("v", sf_component_cache_version);
+    return url.href;
+}
+
+/**
+ * Fetch a component template. Failed requests (network errors, timeouts and 5xx statuses) are retried
+ * 'sf_component_load_retries' times, the delay before a retry doubles every attempt. With the 'no-store' cache policy (default)
+ * templates are always requested from the server, with the 'http' and 'version' policies HTTP caching is respected.
+ * @param {string} source - The URL of the template.
+ * @param {number} [attempt=0] - The number of the current retry.
+ * @param {number} [retries=sf_component_load_retries] - The number of retries.
+ * @return {Promise<string>} A promise that resolves with the template or rejects with an Error that has 'source' and 'status' fields.
+ */
+function sf_component_fetch_template(source, attempt = 0, retries = sf_component_load_retries) {
+    return new Promise((resolve, reject) => {
+        const xmlHttpRequest = new XMLHttpRequest();
+        xmlHttpRequest.open('GET', sf_component_get_request_url(source), true);
 
-    function sf_component_load_more(componentElement) {
-        componentNames.shift();
-        
-        if(componentNames.length > 0) {
-            sf_component_load(componentNames, preloadSubcomponents);
+        if(sf_component_cache_policy === "no-store") {
+            xmlHttpRequest.setRequestHeader("Cache-Control", "no-cache, no-store, max-age=0");
         }
 
-        if(preloadSubcomponents) {
-            sf_component_load_default(componentElement);
+        xmlHttpRequest.timeout = sf_component_load_timeout;
+        xmlHttpRequest.onload = function() {
+            // file:// requests complete with status 0
+            if((this.status >= 200 && this.status < 300) || (this.status === 0 && this.responseText)) {
+                resolve(this.responseText);
+            } else {
+                reject(sf_component_create_load_error(source, `HTTP status ${this.status}`, this.status));
+            }
+        };
+        xmlHttpRequest.onerror = function() {
+            reject(sf_component_create_load_error(source, "Network error", 0));
+        };
+        xmlHttpRequest.ontimeout = function() {
+            reject(sf_component_create_load_error(source, `Timeout of ${sf_component_load_timeout} ms`, 0));
+        };
+        xmlHttpRequest.send();
+    }).catch(error => {
+        const isClientError = error.status >= 400 && error.status < 500;
+
+        if(isClientError || attempt >= retries) {
+            throw error;
+        }
+
+        return new Promise(resolve => setTimeout(resolve, sf_component_load_retry_delay * 2 ** attempt))
+            .then(() => sf_component_fetch_template(source, attempt + 1, retries));
+    });
+}
+
+/**
+ * Create an error of a failed component template request.
+ * @param {string} source - The URL of the template.
+ * @param {string} reason - The reason of the failure.
+ * @param {number} status - The HTTP status, 0 if there is no response.
+ * @return {Error} The error with 'source' and 'status' fields.
+ */
+function sf_component_create_load_error(source, reason, status) {
+    const error = new Error(`Component '${source}' could not be loaded: ${reason}`);
+    error.source = source;
+    error.status = status;
+    return error;
+}
+
+/**
+ * Show the error template in place of a component that could not be loaded: the template from the 'error-src'
+ * attribute of the component or 'sf_component_error_template'. The failure is reported to 'sf_component_error_callback'.
+ * @param {HTMLElement} componentElement - The component element.
+ * @param {Error} error - The load error.
+ * @return {void}
+ */
+function sf_component_set_error(componentElement, error) {
+    console.error(error.message);
+
+    componentElement.setAttribute("load-error", "");
+    componentElement.innerHTML = sf_component_error_template ?? "";
+
+    const errorSource = componentElement.getAttribute("error-src");
+    if(errorSource) {
+        const loadToken = componentElement.sf_load_token;
+        sf_component_fetch_template(errorSource, 0, 0).then(content => {
+            if(componentElement.sf_load_token === loadToken) {
+                componentElement.innerHTML = content;
+            }
+        }, () => {});
+    }
+
+    if(sf_component_error_callback) {
+        try {
+            sf_component_error_callback(error, componentElement);
+        } catch(callbackError) {
+            console.error("Component error callback failed", callbackError);
         }
     }
+
+    componentElement.dispatchEvent(new CustomEvent("sf-component-error", { detail: error }));
 }
 
 /**
@@ -164,7 +466,7 @@ function sf_component_load(componentNames, preloadSubcomponents = true, sharedIn
  * @param {HTMLElement} componentElement - The component element to set.
  * @param {string} content - The content to set for the component element.
  * @param {*} [sharedInputData=null] - Shared input data for the component.
- * @return {Promise} A promise that resolves when the component is set.
+ * @return {Promise} A promise that resolves when the component is set and its scripts are executed.
  */
 function sf_component_set(componentElement, content, sharedInputData = null) {
     return new Promise((sf_resolve) => {
@@ -174,23 +476,35 @@ function sf_component_set(componentElement, content, sharedInputData = null) {
 
         componentElement.innerHTML = content;
 
+        sf_component_project_slots(componentElement);
+
         sf_component_last_set = componentElement;
 
         sf_component_set_defaults(componentElement);
 
+        sf_component_set_props(componentElement);
+
         sf_component_apply_styles(componentElement);
 
         sf_component_track_navigation(componentElement);
 
+        sf_component_prefetch(componentElement);
+
         componentElement.inputData = sharedInputData;
 
         componentElement.setAttribute("loaded", "");
 
-        if (sf_component_javascript_allowed) {
-            sf_component_execute_js(componentElement);
-        }
+        const executing = sf_component_javascript_allowed
+            ? sf_component_execute_js(componentElement)
+            : Promise.resolve();
+
+        executing.then(() => {
+            sf_component_run_hooks(sf_component_get_lifecycle(componentElement).load, componentElement);
+
+            componentElement.dispatchEvent(new CustomEvent("sf-component-loaded"));
 
-        sf_resolve();
+            sf_resolve();
+        });
     });
 }
 
@@ -220,6 +534,8 @@ function sf_component_replace_resources_data(content) {
  */
 function sf_component_set_defaults(componentElement) {
     componentElement.name = componentElement.getAttribute("name");
+    componentElement.routeParams = componentElement.routeParams ?? new Object();
+    componentElement.routeQuery = componentElement.routeQuery ?? new Object();
 
     componentElement.find = function(name) {
         const result = componentElement.querySelectorAll(`*[name="${name}"]`)[0];
@@ -236,7 +552,7 @@ function sf_component_set_defaults(componentElement) {
     }
 
     componentElement.load = function(preloadSubcomponents = true, inputData = null) {
-        sf_component_load([componentElement.name], preloadSubcomponents, inputData);
+        return sf_component_load([componentElement.name], preloadSubcomponents, inputData);
     }
 
     componentElement.unload = function() {
@@ -247,8 +563,60 @@ function sf_component_set_defaults(componentElement) {
         return componentElement.hasAttribute("loaded");
     }
 
-    componentElement.navigate = function() {
-        sf_component_navigate(componentElement.name);
+    componentElement.navigate = function(routeParams = null, historyMode = "push") {
+        return sf_component_navigate(componentElement.name, true, routeParams, historyMode);
+    }
+
+    componentElement.confirmLeave = function(callback) {
+        sf_component_get_lifecycle(componentElement).leave.push(callback);
+    }
+
+    componentElement.onLoad = function(callback) {
+        sf_component_get_lifecycle(componentElement).load.push(callback);
+    }
+
+    componentElement.onBeforeUnload = function(callback) {
+        sf_component_get_lifecycle(componentElement).beforeUnload.push(callback);
+    }
+
+    componentElement.onUnload = function(callback) {
+        sf_component_get_lifecycle(componentElement).unload.push(callback);
+    }
+
+    componentElement.dispose = function(callback) {
+        sf_component_get_lifecycle(componentElement).disposers.push(callback);
+    }
+
+    componentElement.listen = function(target, eventName, handler, options = false) {
+        target.addEventListener(eventName, handler, options);
+        componentElement.dispose(() => target.removeEventListener(eventName, handler, options));
+    }
+
+    componentElement.subscribe = function(point, callback, options = new Object()) {
+        const keyContext = `component.${componentElement.name}.${sf_random_string()}`;
+        const unsubscribe = point.subscribe(keyContext, callback.bind(componentElement), options);
+        componentElement.dispose(unsubscribe);
+        return unsubscribe;
+    }
+
+    componentElement.setInterval = function(callback, milliseconds) {
+        const intervalId = window.setInterval(callback, milliseconds);
+        componentElement.dispose(() => window.clearInterval(intervalId));
+        return intervalId;
+    }
+
+    componentElement.setTimeout = function(callback, milliseconds) {
+        const timeoutId = window.setTimeout(callback, milliseconds);
+        componentElement.dispose(() => window.clearTimeout(timeoutId));
+        return timeoutId;
+    }
+
+    componentElement.getHistoryState = function() {
+        return window.history.state?.componentStates?.[componentElement.name] ?? null;
+    }
+
+    componentElement.setHistoryState = function(data) {
+        sf_routing_set_history_state(componentElement.name, data);
     }
 
     componentElement.state = function(name) {
@@ -261,6 +629,13 @@ function sf_component_set_defaults(componentElement) {
         sf_state_set(componentNameKey, value, setLocalStorage);
     }
 
+    componentElement.subscribeState = function(name, callback) {
+        const componentNameKey = `component.${componentElement.name}.${name}`;
+        const unsubscribe = sf_state_subscribe(componentNameKey, callback.bind(componentElement));
+        componentElement.dispose(unsubscribe);
+        return unsubscribe;
+    }
+
     componentElement.setModel = function(model, templateName) {
         componentElement.querySelectorAll(`[template="${templateName}"]`).forEach(
             function(element) {
@@ -270,524 +645,3652 @@ function sf_component_set_defaults(componentElement) {
     }
 
     componentElement.setMultiplier = function(targetArray, templateName, display = 'block') {
+        let arrayProxy = targetArray;
+
         componentElement.querySelectorAll(`[template="${templateName}"]`).forEach(
             function(element) {
-                sf_model_set_multiplier(element, targetArray, display)
+                arrayProxy = sf_model_set_multiplier(element, targetArray, display);
             }
         );
+
+        return arrayProxy;
     }
-}
 
-/**
- * Unload a component and remove it from tracking.
- * @param {string} componentName - The name of the component to unload.
- * @return {void}
- */
-function sf_component_unload(componentName) {
-    document.body.querySelectorAll('component[name="' + componentName + '"]').forEach(
-        function(componentElement) {
-            componentElement.removeAttribute("loaded", "");
-            componentElement.replaceChildren();
-        }
-    );
+    componentElement.nextTick = function(callback) {
+        return sf_next_tick(callback);
+    }
 }
 
 /**
- * Track navigation for elements with the 'navigation-component-name' attribute within the target element.
- * @param {HTMLElement} [targetElement=null] - The target element to track navigation for. Defaults to the document body.
+ * Read the 'prop-*' attributes of a component element into 'component.props'. The type of a prop can follow a colon:
+ * 'prop-count:number', 'prop-active:boolean' or 'prop-options:json', props without a type are strings.
+ * Props bound to a model property ('prop-count="{{count}}"') are set by the model of the parent.
+ * @param {HTMLElement} componentElement - The component element.
  * @return {void}
  */
-function sf_component_track_navigation(targetElement = null) {
-    targetElement ?? document.body;
-    targetElement.querySelectorAll('*[navigation-component-name]').forEach(
-        function(element, index, array) {
-            let componentName = element.getAttribute("navigation-component-name");
-            element.addEventListener("click", function () {
-                sf_component_navigate(componentName, false);
-            }, false);
-        }
-    );
+function sf_component_set_props(componentElement) {
+    Array.from(componentElement.attributes)
+        .filter(attribute => attribute.name.startsWith("prop-"))
+        .forEach(attribute => {
+            if(attribute.value.includes('{{') && attribute.value.includes('}}')) {
+                sf_component_get_prop(componentElement, attribute.name);
+            } else {
+                sf_component_set_prop(componentElement, attribute.name, attribute.value);
+            }
+        });
 }
 
 /**
- * Navigate to a component by name.
- * @param {string} componentName - The name of the component for navigate.
- * @param {boolean} saveSearchParams - Whether to save search parameters in the URL or not. Default is true.
- * @return {void}
+ * Get the prop property of a component element by its attribute name, the property is created on first access.
+ * The property has a 'watch(callback)' method, it returns a function that removes the callback.
+ * @param {HTMLElement} componentElement - The component element.
+ * @param {string} attributeName - The attribute name of the prop, e.g. 'prop-user-name:string'.
+ * @return {object} The prop property.
  */
-function sf_component_navigate(componentName, saveSearchParams = true) {
-    if(componentName === sf_component_navigation_name_set) {
-        return;
-    }
+function sf_component_get_prop(componentElement, attributeName) {
+    const propName = attributeName.slice("prop-".length).split(":")[0].replace(/-(\w)/g, (match, char) => char.toUpperCase());
 
-    sf_component_navigation_name_set = componentName;
+    componentElement.props = componentElement.props ?? new Object();
 
-    sf_component_load([componentName]);
-    
-    document.body.querySelectorAll('component[name="' + componentName + '"]').forEach(
-        function(element) {
-            if(element.parentElement.hasAttribute("navigation-switch")) {
-                element.parentElement.querySelectorAll('component:not([name="' + componentName + '"]').forEach(
-                    function(parentComponentElement) {
-                        let parentComponentName = parentComponentElement.getAttribute("name");
-                        sf_component_unload(parentComponentName);
-                    }
-                );
-            }
-        }
-    );
+    if(!componentElement.props[propName]) {
+        const prop = sf_property_set(null);
 
-    if(sf_routing_allowed) {
-        sf_routing_set_route_path(componentName, saveSearchParams);
+        prop.sf_prop = true;
+        prop.watch = callback => prop.subscribe(callback);
+
+        componentElement.props[propName] = prop;
     }
+
+    return componentElement.props[propName];
 }
 
 /**
- * Execute JavaScript in <script> tag within the target element.
- * @param {HTMLElement} targetElement - The target element to execute JavaScript within.
+ * Set the value of a component prop, the value is converted to the type of the prop attribute.
+ * @param {HTMLElement} componentElement - The component element.
+ * @param {string} attributeName - The attribute name of the prop, e.g. 'prop-count:number'.
+ * @param {*} value - The new value.
  * @return {void}
  */
-function sf_component_execute_js(targetElement) {
-    targetElement.querySelectorAll('script').forEach(
-        function(scriptElement) {
-            eval(sf_component_get_js_reservation() + scriptElement.innerHTML);
-        }
-    );
-
-    function sf_component_get_js_reservation() {
-        const component_reserved_const_name = "component";
-        return `const ${component_reserved_const_name} = ${sf_component_current.name}();\n\r`;
+function sf_component_set_prop(componentElement, attributeName, value) {
+    const propType = attributeName.split(":")[1];
+
+    try {
+        value = sf_convert_value(value, propType);
+    } catch (error) {
+        console.error(`Component '${componentElement.getAttribute("name")}' prop '${attributeName}' is not a valid ${propType}`, error);
+        value = null;
     }
+
+    sf_component_get_prop(componentElement, attributeName).set(value);
 }
 
 /**
- * Apply styles to the target element by adding a unique postfix to class names (component only).
- * @param {HTMLElement} targetElement - the target element to which the styles are applied.
+ * Unload a component and remove it from tracking. Loaded subcomponents are unloaded too: 'onBeforeUnload' hooks
+ * and disposers (listeners, subscriptions, timers, model 'destruct') run before the content is removed,
+ * 'onUnload' hooks run after it.
+ * @param {string} componentName - The name of the component to unload.
  * @return {void}
  */
-function sf_component_apply_styles(targetElement) {
-    const postfix = sf_random_string();
-    const classRegex = /(?<=\.)[\w-]+(?=[^{}]*\{)/g;
-    
-    targetElement.querySelectorAll('style:not([global])').forEach(
-        function(style) {
-            const classMatches = style.innerHTML.match(classRegex);
-            style.innerHTML = style.innerHTML.replace(classRegex, `$&-${postfix}`);
-
-            if (classMatches) {
-                targetElement.querySelectorAll('[class]').forEach(element => {
-                    if(sf_component_style_add_new_class) {
-                        element.className = element.className.split(' ').map(name => classMatches.includes(name) ? `${name} ${name}-${postfix}` : name).join(' ');
-                    } else {
-                        element.className = element.className.split(' ').map(name => classMatches.includes(name) ? `${name}-${postfix}` : name).join(' ');
-                    }
-                });
-            }
+function sf_component_unload(componentName) {
+    document.body.querySelectorAll('component[name="' + componentName + '"]').forEach(
+        function(componentElement) {
+            const loadedElements = [componentElement, ...componentElement.querySelectorAll("component")]
+                .filter(element => element.hasAttribute("loaded"))
+                .reverse();
+            const lifecycles = loadedElements.map(element => sf_component_take_lifecycle(element));
+
+            loadedElements.forEach((element, index) => {
+                sf_component_run_hooks(lifecycles[index].beforeUnload, element);
+                sf_component_run_hooks(lifecycles[index].disposers.reverse(), element);
+            });
+
+            componentElement.removeAttribute("loaded", "");
+            componentElement.replaceChildren();
+            componentElement.sf_load_token = (componentElement.sf_load_token ?? 0) + 1;
+            componentElement.sf_loading = null;
+
+            loadedElements.forEach((element, index) => {
+                sf_component_run_hooks(lifecycles[index].unload, element);
+            });
         }
     );
 }
 
 /**
- * Get the current component element.
- * @return {HTMLElement} The current component element.
+ * Get the lifecycle registry of a component: hooks and disposers of the current load cycle.
+ * @param {HTMLElement} componentElement - The component element.
+ * @return {object} The registry ({load, beforeUnload, unload, leave, disposers} arrays of functions
+ * and 'modelDisposal', whether the disposers of the models are registered).
  */
-function sf_component_current() {
-    return sf_component_last_set;
+function sf_component_get_lifecycle(componentElement) {
+    componentElement.sf_lifecycle = componentElement.sf_lifecycle ?? {
+        load: new Array(),
+        beforeUnload: new Array(),
+        unload: new Array(),
+        leave: new Array(),
+        disposers: new Array(),
+        modelDisposal: false
+    };
+    return componentElement.sf_lifecycle;
 }
 
-/*
-    DEPARTMENT -> ROUTING MECHANICS
-*/
+/**
+ * Take the lifecycle registry of a component away, the next load cycle starts with an empty registry.
+ * @param {HTMLElement} componentElement - The component element.
+ * @return {object} The registry of the finished load cycle.
+ */
+function sf_component_take_lifecycle(componentElement) {
+    const lifecycle = sf_component_get_lifecycle(componentElement);
+    componentElement.sf_lifecycle = null;
+    return lifecycle;
+}
 
 /**
- * Find and navigate to a component that route based on the current path or a specified path template.
+ * Run lifecycle hooks, an error of one hook is logged and does not stop the others.
+ * @param {function[]} hooks - The hook functions.
+ * @param {HTMLElement} componentElement - The component element passed to hooks.
  * @return {void}
  */
-function sf_routing_find_navigation_route() {
-    const pathStringTemplate = sf_routing_path_template ?? window.location.pathname;
-    const routeElement = document.querySelector('route[path="' + pathStringTemplate + '"]');
-    if (routeElement) {
-        const componentName = routeElement.getAttribute("navigation-component-name");
-        sf_component_navigate(componentName);
-    } else {
-        sf_routing_find_default_navigation_route();
-    }
+function sf_component_run_hooks(hooks, componentElement) {
+    hooks.forEach(hook => {
+        try {
+            hook(componentElement);
+        } catch(error) {
+            console.error(`Component '${componentElement.name}' hook failed`, error);
+        }
+    });
 }
 
 /**
- * Find and navigate to the component with default route (with 'default' attribute).
- * @return {void}
+ * Find the component element that owns the target element (the closest component ancestor).
+ * Content projected into a slot is owned by the component that provided it.
+ * @param {HTMLElement} targetElement - The target element.
+ * @return {HTMLElement|null} The owner component element.
  */
-function sf_routing_find_default_navigation_route() {
-    const routeElement = document.querySelector('route[default]');
-    if (routeElement) {
-        const componentName = routeElement.getAttribute("navigation-component-name");
-        sf_component_navigate(componentName);
+function sf_component_get_owner(targetElement) {
+    const ownerElement = targetElement.closest("component");
+    const slotElement = targetElement.closest("slot[projected]");
+
+    if(ownerElement && slotElement && ownerElement.contains(slotElement)) {
+        return ownerElement.parentElement ? sf_component_get_owner(ownerElement.parentElement) : null;
     }
+
+    return ownerElement;
 }
 
 /**
- * Set the current route path based on the specified component name.
- * @param {string} componentName - The name of the component to set the route path for.
- * @param {boolean} saveSearchParams - Whether to save search parameters in the URL or not. Default is true.
- * @return {void}
+ * Get the nodes written inside a component element by its parent (the light DOM), they are projected into the slots of the component.
+ * @param {HTMLElement} componentElement - The component element.
+ * @return {Node[]} The nodes of the component element.
  */
-function sf_routing_set_route_path(componentName, saveSearchParams = true) {
-    document.querySelectorAll(`route[navigation-component-name="${componentName}"]`).forEach(routeElement => {
-        const currentURL = new URL(window.location.href);
-        currentURL.pathname = routeElement.getAttribute("path");
+function sf_component_get_slot_nodes(componentElement) {
+    return componentElement.sf_slot_nodes ?? Array.from(componentElement.childNodes);
+}
 
-        if(!saveSearchParams) {
-            currentURL.search = "";
-        }
+/**
+ * Move the nodes of the component element into the slots of its template. Nodes with the 'slot' attribute are moved
+ * into the slot with the same name, other nodes into the default slot. Slots without nodes keep their fallback content.
+ * A component that was set without loading has no nodes to project.
+ * @param {HTMLElement} componentElement - The component element.
+ * @return {void}
+ */
+function sf_component_project_slots(componentElement) {
+    const slots = new Object();
 
-        window.history.pushState({}, '', currentURL.href);
+    componentElement.querySelectorAll("slot").forEach(slot => {
+        const name = slot.getAttribute("name") ?? "";
+        slots[name] = slots[name] ?? slot;
     });
-}
 
+    (componentElement.sf_slot_nodes ?? new Array())
+        .filter(node => node.nodeType === Node.ELEMENT_NODE || (node.nodeType === Node.TEXT_NODE && node.nodeValue.trim()))
+        .forEach(node => {
+            const slot = slots[node.nodeType === Node.ELEMENT_NODE ? (node.getAttribute("slot") ?? "") : ""];
 
-/*
-    DEPARTMENT -> PROPERTY MANAGEMENT
-*/
+            if(!slot) {
+                return;
+            }
+
+            if(!slot.hasAttribute("projected")) {
+                slot.replaceChildren();
+                slot.setAttribute("projected", "");
+            }
+
+            slot.appendChild(node);
+        });
+}
 
 /**
- * Create a property object with a default value and an optional callback function to be called when the value is changed.
- * @param {*} defaultPropertyValue - The default value of the property.
- * @param {function} [raiseCallback=null] - An optional callback function to be called when the value is changed.
- * @return {object} - A property object with getter and setter methods for the value (get(), set(value), raise()).
+ * Track navigation for elements with the 'navigation-component-name' attribute within the target element.
+ * Route params can be passed as JSON in the 'navigation-params' attribute.
+ * @param {HTMLElement} [targetElement=null] - The target element to track navigation for. Defaults to the document body.
+ * @return {void}
  */
-function sf_property_set(defaultPropertyValue, raiseCallback = null) {
-    return {
-        _value: defaultPropertyValue,
-        _raiseCallback: raiseCallback,
-
-        get value() {
+function sf_component_track_navigation(targetElement = null) {
+    targetElement ?? document.body;
+    targetElement.querySelectorAll('*[navigation-component-name]').forEach(
+        function(element, index, array) {
+            let componentName = element.getAttribute("navigation-component-name");
+            element.addEventListener("click", function () {
+                let routeParams = null;
+
+                try {
+                    routeParams = element.hasAttribute("navigation-params")
+                        ? JSON.parse(element.getAttribute("navigation-params"))
+                        : null;
+                } catch (error) {
+                    console.error(`Invalid 'navigation-params' of the navigation to '${componentName}'`, error);
+                    return;
+                }
+
+                sf_component_navigate(componentName, false, routeParams);
+            }, false);
+        }
+    );
+}
+
+/**
+ * Navigate to a component by name.
+ * @param {string} componentName - The name of the component for navigate.
+ * @param {boolean} saveSearchParams - Whether to save search parameters in the URL or not. Default is true.
+ * @param {object} [routeParams=null] - Route params for the component, available as 'component.routeParams'.
+ * @param {string} [historyMode='push'] - How to record the navigation in the browser history: 'push', 'replace' or 'none'.
+ * @return {Promise<boolean>} A promise that resolves with true when the component and its default subcomponents are loaded,
+ * false when the navigation is cancelled.
+ */
+function sf_component_navigate(componentName, saveSearchParams = true, routeParams = null, historyMode = "push") {
+    routeParams = routeParams ?? new Object();
+
+    const route = sf_routing_find_component_route(componentName, routeParams);
+    let href = null;
+
+    if(route) {
+        const routeURL = sf_routing_get_location();
+        routeURL.pathname = route.path;
+
+        if(!saveSearchParams) {
+            routeURL.search = "";
+        }
+
+        href = sf_routing_get_href(routeURL);
+    }
+
+    return sf_component_run_navigation({
+        componentName: componentName,
+        routeParams: routeParams,
+        routeElement: route?.routeElement ?? null,
+        href: href,
+        historyMode: historyMode
+    });
+}
+
+/**
+ * Run a navigation: ask leave confirmations of the components to be unloaded, run 'before navigate' guards,
+ * resolve route data and show the component. A guard can return false to cancel the navigation
+ * or a path to redirect to, async guards return a promise. A guard or a resolver that fails cancels the navigation,
+ * more than SF_ROUTING_REDIRECT_LIMIT redirects in a row cancel it too.
+ * @param {object} navigation - The navigation ({componentName, routeParams, routeElement, href, historyMode, redirects}).
+ * @return {Promise<boolean>} A promise that resolves with true when the component is shown, false when the navigation is cancelled.
+ */
+function sf_component_run_navigation(navigation) {
+    const componentName = navigation.componentName;
+    const isSameComponent = componentName === sf_component_navigation_name_set;
+    const isLoaded = document.body.querySelector('component[name="' + componentName + '"][loaded]') !== null;
+    if(isSameComponent && isLoaded && JSON.stringify(navigation.routeParams) === JSON.stringify(sf_component_navigation_params_set)) {
+        return Promise.resolve(true);
+    }
+
+    navigation.from = {
+        componentName: sf_component_navigation_name_set,
+        routeParams: sf_component_navigation_params_set
+    };
+
+    navigation.chain = sf_routing_get_route_chain(componentName, navigation.routeElement);
+
+    const navigationId = ++sf_component_navigation_counter;
+    const leavingElements = sf_component_find_leaving(navigation.chain, isSameComponent);
+    const beforeGuards = sf_routing_before_navigate_guards
+        .concat(sf_routing_get_route_callback(navigation.routeElement, "before-navigate") ?? []);
+
+    return sf_component_confirm_leave(leavingElements, navigation)
+        .then(result => result === true ? sf_routing_run_guards(beforeGuards, navigation) : result)
+        .then(result => {
+            if(navigationId !== sf_component_navigation_counter || result === false) {
+                return false;
+            }
+
+            if(typeof result === "string") {
+                return sf_navigate(result, navigation.historyMode === "none" ? "replace" : navigation.historyMode, (navigation.redirects ?? 0) + 1);
+            }
+
+            const resolver = sf_routing_get_route_callback(navigation.routeElement, "resolve");
+
+            return Promise.resolve(resolver ? resolver(navigation) : null).then(routeData => {
+                if(navigationId !== sf_component_navigation_counter) {
+                    return false;
+                }
+
+                return sf_component_show(navigation, routeData).then(() => {
+                    sf_routing_after_navigate_guards
+                        .concat(sf_routing_get_route_callback(navigation.routeElement, "after-navigate") ?? [])
+                        .forEach(guard => {
+                            try {
+                                guard(navigation);
+                            } catch(error) {
+                                console.error(`After navigate callback of '${componentName}' failed`, error);
+                            }
+                        });
+
+                    return true;
+                });
+            });
+        })
+        .catch(error => {
+            console.error(`Navigation to '${componentName}' failed`, error);
+            return false;
+        });
+}
+
+/**
+ * Show the navigated component: record the navigation in the browser history and show every component
+ * of the route chain in its outlet, from the outer 'navigation-switch' container to the inner one.
+ * @param {object} navigation - The navigation ({componentName, routeParams, routeElement, chain, href, historyMode}).
+ * @param {*} routeData - The data of the route resolver, available as 'component.routeData'.
+ * @return {Promise} A promise that resolves when the components of all outlets are loaded.
+ */
+function sf_component_show(navigation, routeData) {
+    sf_component_navigation_name_set = navigation.componentName;
+    sf_component_navigation_params_set = navigation.routeParams;
+
+    if(sf_routing_allowed && navigation.href && navigation.historyMode !== "none") {
+        sf_routing_update_history(navigation.href, navigation.componentName, navigation.routeParams, navigation.historyMode);
+    }
+
+    const routeQuery = Object.fromEntries(sf_routing_get_location().searchParams);
+
+    return navigation.chain.reduce((promise, outlet) => promise.then(() => sf_component_show_outlet(outlet, {
+        routeParams: navigation.routeParams,
+        routeQuery: routeQuery,
+        routeData: outlet.routeElement === navigation.routeElement ? routeData : null
+    })), Promise.resolve());
+}
+
+/**
+ * Show a component in its outlet: load it and unload other components of its 'navigation-switch' container.
+ * A loaded component is kept when its own route params did not change.
+ * @param {object} outlet - The outlet of the route chain ({componentName, routeElement}).
+ * @param {object} route - The route values for the component ({routeParams, routeQuery, routeData}).
+ * @return {Promise} A promise that resolves when the component is loaded.
+ */
+function sf_component_show_outlet(outlet, route) {
+    const componentName = outlet.componentName;
+    const pattern = outlet.routeElement ? sf_routing_get_route_pattern(outlet.routeElement) : null;
+    const ownParams = JSON.stringify(sf_routing_pick_params(pattern, route.routeParams));
+
+    document.body.querySelectorAll('component[name="' + componentName + '"]').forEach(
+        function(element) {
+            const isKept = element.hasAttribute("loaded")
+                && JSON.stringify(sf_routing_pick_params(pattern, element.routeParams)) === ownParams;
+
+            if(isKept) {
+                return;
+            }
+
+            if(element.hasAttribute("loaded")) {
+                sf_component_unload(componentName);
+            }
+
+            element.routeParams = route.routeParams;
+            element.routeQuery = route.routeQuery;
+            element.routeData = route.routeData;
+        }
+    );
+
+    const loading = sf_component_load([componentName]);
+    
+    document.body.querySelectorAll('component[name="' + componentName + '"]').forEach(
+        function(element) {
+            if(element.parentElement.hasAttribute("navigation-switch")) {
+                element.parentElement.querySelectorAll('component:not([name="' + componentName + '"]').forEach(
+                    function(parentComponentElement) {
+                        let parentComponentName = parentComponentElement.getAttribute("name");
+                        sf_component_unload(parentComponentName);
+                    }
+                );
+            }
+        }
+    );
+
+    return loading;
+}
+
+/**
+ * Find the loaded components that will be unloaded by a navigation along the route chain.
+ * @param {object[]} chain - The route chain of the navigation ({componentName, routeElement} for every outlet).
+ * @param {boolean} isSameComponent - Whether the last component is reloaded with other route params.
+ * @return {HTMLElement[]} The component elements to be unloaded.
+ */
+function sf_component_find_leaving(chain, isSameComponent) {
+    const leavingElements = new Set();
+
+    chain.forEach((outlet, index) => {
+        const componentName = outlet.componentName;
+        document.body.querySelectorAll('component[name="' + componentName + '"]').forEach(
+            function(element) {
+                if(isSameComponent && index === chain.length - 1 && element.hasAttribute("loaded")) {
+                    leavingElements.add(element);
+                }
+
+                if(element.parentElement.hasAttribute("navigation-switch")) {
+                    element.parentElement.querySelectorAll('component[loaded]:not([name="' + componentName + '"])')
+                        .forEach(leavingElement => leavingElements.add(leavingElement));
+                }
+            }
+        );
+    });
+
+    return Array.from(leavingElements);
+}
+
+/**
+ * Ask the leave confirmations of components (see 'component.confirmLeave'), e.g. when they have unsaved input.
+ * @param {HTMLElement[]} componentElements - The component elements to be unloaded.
+ * @param {object} navigation - The navigation passed to confirmations.
+ * @return {Promise<boolean>} A promise that resolves with true when all components can be left.
+ */
+function sf_component_confirm_leave(componentElements, navigation) {
+    const confirmations = componentElements.flatMap(element => sf_component_get_lifecycle(element).leave);
+    return sf_routing_run_guards(confirmations, navigation).then(result => result !== false);
+}
+
+/**
+ * Execute JavaScript in <script> tags within the target element in document order. Every script gets its own
+ * component element as the 'component' constant. External scripts (src) are fetched and executed in place,
+ * module scripts (type="module") are executed as inline modules.
+ * @param {HTMLElement} targetElement - The target element (component) to execute JavaScript within.
+ * @return {Promise} A promise that resolves when all scripts, module scripts included, are executed.
+ */
+function sf_component_execute_js(targetElement) {
+    const scriptElements = Array.from(targetElement.querySelectorAll('script'))
+        .filter(scriptElement => ["", "text/javascript", "application/javascript", "module"]
+            .includes((scriptElement.getAttribute("type") ?? "").toLowerCase()));
+
+    return sf_component_execute_scripts(targetElement, scriptElements, 0);
+}
+
+/**
+ * Execute scripts one by one starting from the specified index, inline scripts are executed synchronously
+ * until an external or a module script has to be waited for. A script that fails is reported and the next one is executed.
+ * @param {HTMLElement} componentElement - The component element of the scripts.
+ * @param {HTMLScriptElement[]} scriptElements - The script elements.
+ * @param {number} index - The index of the first script to execute.
+ * @return {Promise} A promise that resolves when the scripts are executed.
+ */
+function sf_component_execute_scripts(componentElement, scriptElements, index) {
+    for(let i = index; i < scriptElements.length; i++) {
+        const scriptElement = scriptElements[i];
+
+        if(scriptElement.hasAttribute("src")) {
+            return sf_component_load_script(componentElement, scriptElement).then(isConnected => isConnected
+                ? sf_component_execute_scripts(componentElement, scriptElements, i + 1)
+                : undefined);
+        }
+
+        const previousElement = sf_component_script_running;
+        let running;
+
+        try {
+            sf_component_script_running = componentElement;
+            running = sf_component_run_script(componentElement, scriptElement, scriptElement.textContent);
+        } catch(error) {
+            console.error(`Script of the component '${componentElement.name}' failed`, error);
+        } finally {
+            sf_component_script_running = previousElement;
+        }
+
+        if(running) {
+            return running.then(isConnected => isConnected
+                ? sf_component_execute_scripts(componentElement, scriptElements, i + 1)
+                : undefined);
+        }
+    }
+
+    return Promise.resolve();
+}
+
+/**
+ * Load an external component script as a <script src> element with 'sf_component_script_nonce'. Classic scripts get
+ * their component element as 'document.currentScript.component', module scripts as 'sf_component_of_module(import.meta)':
+ * the binding key of the module is the fragment of its URL.
+ * @param {HTMLElement} componentElement - The component element of the script.
+ * @param {HTMLScriptElement} scriptElement - The original script element.
+ * @return {Promise<boolean>} A promise that resolves when the script is loaded and executed or has failed to load,
+ * with false if the component was unloaded meanwhile.
+ */
+function sf_component_load_script(componentElement, scriptElement) {
+    return new Promise(resolve => {
+        const executableElement = document.createElement("script");
+        const source = scriptElement.getAttribute("src");
+
+        const bindingKey = sf_random_string();
+
+        executableElement.src = sf_component_get_request_url(source);
+        executableElement.component = componentElement;
+
+        if(scriptElement.getAttribute("type")?.toLowerCase() === "module") {
+            executableElement.type = "module";
+            executableElement.src += `#${SF_COMPONENT_MODULE_BINDING_PREFIX}${bindingKey}`;
+            sf_component_script_bindings[bindingKey] = componentElement;
+        }
+
+        if(sf_component_script_nonce) {
+            executableElement.nonce = sf_component_script_nonce;
+        }
+
+        executableElement.addEventListener("load", () => {
+            delete sf_component_script_bindings[bindingKey];
+            resolve(executableElement.isConnected);
+        }, { once: true });
+        executableElement.addEventListener("error", () => {
+            delete sf_component_script_bindings[bindingKey];
+            console.error(`Script '${source}' of the component '${componentElement.name}' could not be loaded`);
+            resolve(executableElement.isConnected);
+        }, { once: true });
+
+        sf_component_last_set = componentElement;
+        scriptElement.replaceWith(executableElement);
+    });
+}
+
+/**
+ * Run the code of a component script. In the 'eval' script mode classic scripts are compiled with the Function
+ * constructor. In the 'csp' script mode they are inserted as <script> elements with 'sf_component_script_nonce',
+ * so no 'unsafe-eval' is needed in the Content-Security-Policy. Module scripts are always inserted as elements.
+ * @param {HTMLElement} componentElement - The component element bound to the 'component' constant.
+ * @param {HTMLScriptElement} scriptElement - The original script element.
+ * @param {string} code - The code of the script.
+ * @return {Promise<boolean>|undefined} For module scripts a promise that resolves when the module is executed,
+ * with false if the component was unloaded meanwhile.
+ */
+function sf_component_run_script(componentElement, scriptElement, code) {
+    const component_reserved_const_name = "component";
+    const isModule = scriptElement.getAttribute("type")?.toLowerCase() === "module";
+
+    sf_component_last_set = componentElement;
+
+    if(!isModule && sf_component_script_mode !== "csp") {
+        const sourceURL = `\n//# sourceURL=component-${componentElement.name}.js`;
+        new Function(component_reserved_const_name, code + sourceURL).call(window, componentElement);
+        return;
+    }
+
+    const bindingKey = sf_random_string();
+    sf_component_script_bindings[bindingKey] = componentElement;
+
+    const binding = `${sf_component_script_binding.name}("${bindingKey}")`;
+    const executableElement = document.createElement("script");
+
+    if(isModule) {
+        executableElement.type = "module";
+        executableElement.async = false;
+        executableElement.textContent = `const ${component_reserved_const_name} = ${binding};\n${code}`;
+    } else {
+        executableElement.textContent = `(function(${component_reserved_const_name}) {\n${code}\n}).call(window, ${binding});`;
+    }
+
+    if(sf_component_script_nonce) {
+        executableElement.nonce = sf_component_script_nonce;
+    }
+
+    scriptElement.replaceWith(executableElement);
+
+    if(isModule) {
+        return sf_component_wait_module(executableElement);
+    }
+}
+
+/**
+ * Wait until an inserted module script is executed: a second module is inserted after it, modules that are not async
+ * run in insertion order, so the second module calls the completion callback (passed by its binding key) after the first
+ * one has finished or failed.
+ * @param {HTMLScriptElement} executableElement - The inserted module script.
+ * @return {Promise<boolean>} A promise that resolves when the module is executed, with false if it was removed meanwhile.
+ */
+function sf_component_wait_module(executableElement) {
+    return new Promise(resolve => {
+        const completionKey = sf_random_string();
+        const completionElement = document.createElement("script");
+
+        sf_component_script_bindings[completionKey] = function() {
+            completionElement.remove();
+            resolve(executableElement.isConnected);
+        };
+
+        completionElement.type = "module";
+        completionElement.async = false;
+        completionElement.textContent = `${sf_component_script_binding.name}("${completionKey}")();`;
+
+        if(sf_component_script_nonce) {
+            completionElement.nonce = sf_component_script_nonce;
+        }
+
+        executableElement.after(completionElement);
+    });
+}
+
+/**
+ * Take the value bound to an inserted script (used by the code of 'csp' and module scripts): the component element
+ * or the completion callback of a module.
+ * @param {string} bindingKey - The binding key of the script.
+ * @return {HTMLElement|function} The component element or the callback.
+ */
+function sf_component_script_binding(bindingKey) {
+    const value = sf_component_script_bindings[bindingKey];
+    delete sf_component_script_bindings[bindingKey];
+    return value;
+}
+
+/**
+ * Get the component element of an external module script while the module is executed:
+ * const component = sf_component_of_module(import.meta);
+ * @param {object} importMeta - The 'import.meta' object of the module.
+ * @return {HTMLElement|null} The component element or null.
+ */
+function sf_component_of_module(importMeta) {
+    const hash = new URL(importMeta.url).hash;
+    const prefix = `#${SF_COMPONENT_MODULE_BINDING_PREFIX}`;
+
+    return hash.startsWith(prefix) ? sf_component_script_bindings[hash.slice(prefix.length)] ?? null : null;
+}
+
+/**
+ * Scope the styles of the component to its own elements: every selector is limited to elements of the component template,
+ * `:host` selects the component element. Styles with the `global` attribute are not scoped.
+ * @param {HTMLElement} targetElement - the target element to which the styles are applied.
+ * @return {void}
+ */
+function sf_component_apply_styles(targetElement) {
+    const styles = Array.from(targetElement.querySelectorAll('style:not([global])'))
+        .filter(style => sf_component_get_owner(style) === targetElement);
+
+    if(targetElement.sf_scope) {
+        targetElement.removeAttribute(`sf-host-${targetElement.sf_scope}`);
+        targetElement.sf_scope = null;
+    }
+
+    if(styles.length === 0) {
+        return;
+    }
+
+    const scope = sf_random_string();
+    const scopeAttribute = `sf-scope-${scope}`;
+    const hostAttribute = `sf-host-${scope}`;
+
+    targetElement.sf_scope = scope;
+    targetElement.setAttribute(hostAttribute, "");
+    sf_component_scope_elements(targetElement.children, scopeAttribute);
+
+    styles.forEach(style => {
+        if(style.sheet) {
+            sf_style_scope_rules(style.sheet.cssRules, scopeAttribute, hostAttribute);
+            style.textContent = Array.from(style.sheet.cssRules).map(rule => rule.cssText).join("\n");
+        }
+    });
+}
+
+/**
+ * Mark the own elements of the component with the scope attribute. Child components are marked together with the nodes
+ * passed into their slots, but not their own content. Content projected into the slots of the component is skipped.
+ * @param {Node[]} elements - The elements to mark.
+ * @param {string} scopeAttribute - The scope attribute of the component.
+ * @return {void}
+ */
+function sf_component_scope_elements(elements, scopeAttribute) {
+    for (const element of elements) {
+        if(element.nodeType !== Node.ELEMENT_NODE) {
+            continue;
+        }
+
+        element.setAttribute(scopeAttribute, "");
+
+        if(element.tagName === "COMPONENT") {
+            sf_component_scope_elements(sf_component_get_slot_nodes(element), scopeAttribute);
+        } else if(!(element.tagName === "SLOT" && element.hasAttribute("projected"))) {
+            sf_component_scope_elements(element.children, scopeAttribute);
+        }
+    }
+}
+
+/**
+ * Mark an element rendered after the component was loaded (a multiplier copy or an 'if' branch) and its own
+ * descendants with the scope attribute of the component that owns it.
+ * @param {HTMLElement} element - The rendered element, inserted into the component.
+ * @return {void}
+ */
+function sf_component_scope_rendered(element) {
+    const scope = sf_component_get_owner(element)?.sf_scope;
+
+    if(scope) {
+        sf_component_scope_elements([element], `sf-scope-${scope}`);
+    }
+}
+
+/**
+ * Get the current component element.
+ * @return {HTMLElement} The current component element.
+ */
+function sf_component_current() {
+    return sf_component_last_set;
+}
+
+/*
+    DEPARTMENT -> ROUTING MECHANICS
+*/
+
+/**
+ * Find and navigate to a component that route based on the current path or a specified path template.
+ * @param {string} [historyMode='push'] - How to record the navigation in the browser history: 'push', 'replace' or 'none'.
+ * @return {Promise<boolean>} A promise that resolves with true when the component is shown.
+ */
+function sf_routing_find_navigation_route(historyMode = "push") {
+    const location = sf_routing_get_location();
+    const pathString = sf_routing_path_template ?? location.pathname;
+    const match = sf_routing_match_route(pathString);
+    if (match?.routeElement.hasAttribute("redirect-to")) {
+        return sf_navigate(sf_routing_get_redirect_path(match) + location.search, "replace");
+    } else if (match) {
+        const componentName = match.routeElement.getAttribute("navigation-component-name");
+        return sf_component_navigate(componentName, true, match.params, historyMode);
+    } else {
+        return sf_routing_find_default_navigation_route(historyMode);
+    }
+}
+
+/**
+ * Find and navigate to the component with default route (with 'default' attribute).
+ * @param {string} [historyMode='push'] - How to record the navigation in the browser history: 'push', 'replace' or 'none'.
+ * @return {Promise<boolean>} A promise that resolves with true when the component is shown.
+ */
+function sf_routing_find_default_navigation_route(historyMode = "push") {
+    const routeElement = document.querySelector('route[default]');
+    if (routeElement) {
+        const componentName = routeElement.getAttribute("navigation-component-name");
+        return sf_component_navigate(componentName, true, null, historyMode);
+    }
+    return Promise.resolve(false);
+}
+
+/**
+ * Navigate to the component that routes the specified path and record the path in the browser history.
+ * Routes with the 'redirect-to' attribute redirect to another path, e.g. <route path="/user/:id" redirect-to="/profile/:id">.
+ * @param {string} path - The path to navigate to, may contain a query string, e.g. '/profile/15?tab=posts'.
+ * @param {string} [historyMode='push'] - How to record the navigation in the browser history: 'push', 'replace' or 'none'.
+ * @param {number} [redirects=0] - The number of redirects that led to this navigation.
+ * @return {Promise<boolean>} A promise that resolves with true when the component is shown, false when the navigation is cancelled.
+ */
+function sf_navigate(path, historyMode = "push", redirects = 0) {
+    if(redirects > SF_ROUTING_REDIRECT_LIMIT) {
+        console.error(`Navigation to '${path}' is cancelled after ${SF_ROUTING_REDIRECT_LIMIT} redirects`);
+        return Promise.resolve(false);
+    }
+
+    const url = new URL(path, sf_routing_get_location().href);
+    const match = sf_routing_match_route(url.pathname);
+
+    if(match?.routeElement.hasAttribute("redirect-to")) {
+        return sf_navigate(sf_routing_get_redirect_path(match) + url.search, historyMode === "none" ? "replace" : historyMode, redirects + 1);
+    }
+
+    const routeElement = match?.routeElement ?? document.querySelector('route[default]');
+
+    if(!routeElement) {
+        return Promise.resolve(false);
+    }
+
+    return sf_component_run_navigation({
+        componentName: routeElement.getAttribute("navigation-component-name"),
+        routeParams: match?.params ?? new Object(),
+        routeElement: routeElement,
+        href: sf_routing_get_href(url),
+        historyMode: historyMode,
+        redirects: redirects
+    });
+}
+
+/**
+ * Go one entry back in the browser history, the route is restored by the 'popstate' listener.
+ * @return {void}
+ */
+function sf_navigate_back() {
+    window.history.back();
+}
+
+/**
+ * Go one entry forward in the browser history, the route is restored by the 'popstate' listener.
+ * @return {void}
+ */
+function sf_navigate_forward() {
+    window.history.forward();
+}
+
+/**
+ * Register a global guard that is called before every navigation with the navigation object
+ * ({componentName, routeParams, routeElement, from}). The guard can return false to cancel the navigation,
+ * a path to redirect to or a promise of these values.
+ * @param {function} callback - The guard function.
+ * @return {function} A function that removes the guard.
+ */
+function sf_routing_before_navigate(callback) {
+    sf_routing_before_navigate_guards.push(callback);
+    return () => {
+        const index = sf_routing_before_navigate_guards.indexOf(callback);
+        if(index !== -1) {
+            sf_routing_before_navigate_guards.splice(index, 1);
+        }
+    };
+}
+
+/**
+ * Register a global callback that is called after every navigation with the navigation object.
+ * @param {function} callback - The callback function.
+ * @return {function} A function that removes the callback.
+ */
+function sf_routing_after_navigate(callback) {
+    sf_routing_after_navigate_guards.push(callback);
+    return () => {
+        const index = sf_routing_after_navigate_guards.indexOf(callback);
+        if(index !== -1) {
+            sf_routing_after_navigate_guards.splice(index, 1);
+        }
+    };
+}
+
+/**
+ * Run guards one by one until a guard cancels or redirects the navigation.
+ * @param {function[]} guards - The guard functions.
+ * @param {object} navigation - The navigation passed to guards.
+ * @return {Promise<boolean|string>} A promise that resolves with true, false (cancel) or a path to redirect to.
+ */
+function sf_routing_run_guards(guards, navigation) {
+    return guards.reduce(
+        (promise, guard) => promise.then(result => result === true
+            ? Promise.resolve(guard(navigation)).then(guardResult => guardResult ?? true)
+            : result),
+        Promise.resolve(true)
+    );
+}
+
+/**
+ * Get a route-level callback named in an attribute of the route element
+ * ('before-navigate', 'after-navigate' or 'resolve'), e.g. <route path="/admin" before-navigate="checkAccess">.
+ * @param {HTMLElement} routeElement - The route element.
+ * @param {string} attributeName - The name of the attribute containing the global function name.
+ * @return {function|null} The callback function or null if the route does not define it.
+ */
+function sf_routing_get_route_callback(routeElement, attributeName) {
+    const functionName = routeElement?.getAttribute(attributeName);
+    return functionName && window[functionName] instanceof Function ? window[functionName] : null;
+}
+
+/**
+ * Build the redirect path of a route with the 'redirect-to' attribute, params of the matched path are reused.
+ * @param {object} match - The route match ({routeElement, params}).
+ * @return {string} The redirect path.
+ */
+function sf_routing_get_redirect_path(match) {
+    const redirectPattern = match.routeElement.getAttribute("redirect-to");
+    return sf_routing_build_path(redirectPattern, match.params) ?? redirectPattern;
+}
+
+/**
+ * Restore the component of a browser history entry (listener of the 'popstate' event).
+ * When a guard or leave confirmation cancels the navigation, the previous entry is restored.
+ * @param {PopStateEvent} event - The popstate event.
+ * @return {void}
+ */
+function sf_routing_restore_history_entry(event) {
+    if(sf_routing_history_ignore_pop) {
+        sf_routing_history_ignore_pop = false;
+        return;
+    }
+
+    const state = event.state;
+    const previousIndex = sf_routing_history_index;
+    const navigationId = sf_component_navigation_counter + 1;
+
+    sf_routing_history_index = state?.index ?? 0;
+    sf_routing_handled_href = window.location.href;
+
+    const navigation = state?.componentName
+        ? sf_component_navigate(state.componentName, true, state.routeParams, "none")
+        : sf_routing_find_navigation_route("replace");
+
+    navigation.then(result => {
+        if(result === false && navigationId === sf_component_navigation_counter && state?.index !== undefined) {
+            sf_routing_history_ignore_pop = true;
+            sf_routing_history_index = previousIndex;
+            window.history.go(previousIndex - state.index);
+        }
+    });
+}
+
+/**
+ * Get the full pattern of a route. Paths of nested routes are relative to their parent route:
+ * <route path="/settings"><route path="profile"></route></route> routes '/settings/profile'.
+ * @param {HTMLElement} routeElement - The route element.
+ * @return {string} The full route pattern.
+ */
+function sf_routing_get_route_pattern(routeElement) {
+    const segments = new Array();
+
+    for(let element = routeElement; element?.tagName.toLowerCase() === "route"; element = element.parentElement) {
+        segments.unshift(...sf_routing_split_path(element.getAttribute("path") ?? ""));
+    }
+
+    return '/' + segments.join('/');
+}
+
+/**
+ * Get the route chain of a component: components of parent routes (outer outlets) followed by the component
+ * itself and the component of its index child route (<route path=""> inside its route) if there is one.
+ * @param {string} componentName - The name of the navigated component.
+ * @param {HTMLElement} [routeElement=null] - The route element of the component.
+ * @return {object[]} The outlets ({componentName, routeElement}) from the outer to the inner one.
+ */
+function sf_routing_get_route_chain(componentName, routeElement = null) {
+    const chain = [{ componentName, routeElement }];
+
+    for(let element = routeElement?.parentElement; element?.tagName.toLowerCase() === "route"; element = element.parentElement) {
+        if(element.hasAttribute("navigation-component-name")) {
+            chain.unshift({ componentName: element.getAttribute("navigation-component-name"), routeElement: element });
+        }
+    }
+
+    const indexRouteElement = Array.from(routeElement?.children ?? [])
+        .find(element => element.tagName.toLowerCase() === "route"
+            && element.hasAttribute("navigation-component-name")
+            && sf_routing_split_path(element.getAttribute("path") ?? "").length === 0);
+
+    if(indexRouteElement) {
+        chain.push({ componentName: indexRouteElement.getAttribute("navigation-component-name"), routeElement: indexRouteElement });
+    }
+
+    return chain;
+}
+
+/**
+ * Pick the params used by a route pattern.
+ * @param {string|null} pattern - The route pattern, all params are picked if it is null.
+ * @param {object} [params=null] - The params to pick from.
+ * @return {object} The picked params.
+ */
+function sf_routing_pick_params(pattern, params = null) {
+    if(pattern === null || !params) {
+        return params ?? new Object();
+    }
+
+    const names = sf_routing_split_path(pattern)
+        .filter(segment => segment.startsWith(':') || segment.startsWith('*'))
+        .map(segment => segment.startsWith('*') ? (segment.slice(1) || '*') : segment.slice(1).replace(/\?$/, ''));
+
+    return Object.fromEntries(names.filter(name => name in params).map(name => [name, params[name]]));
+}
+
+/**
+ * Restore the component of a browser history entry when the hash changes (listener of the 'hashchange' event in hash mode).
+ * Entries already restored by the 'popstate' listener are skipped.
+ * @return {void}
+ */
+function sf_routing_restore_hash_entry() {
+    if(window.location.href !== sf_routing_handled_href) {
+        sf_routing_restore_history_entry({ state: window.history.state });
+    }
+}
+
+/**
+ * Get the route location: the page URL in path mode or the URL of the '#/path?query' part in hash mode.
+ * @return {URL} The route location, a new object for every call.
+ */
+function sf_routing_get_location() {
+    if(sf_routing_mode === "hash") {
+        const hashPath = window.location.hash.slice(1);
+        return new URL(hashPath.startsWith('/') ? hashPath : '/' + hashPath, window.location.href);
+    }
+    return new URL(window.location.href);
+}
+
+/**
+ * Get the page URL of a route location (see 'sf_routing_get_location').
+ * @param {URL} routeURL - The route location.
+ * @return {string} The page URL.
+ */
+function sf_routing_get_href(routeURL) {
+    if(sf_routing_mode === "hash") {
+        const pageURL = new URL(window.location.href);
+        pageURL.hash = '#' + routeURL.pathname + routeURL.search;
+        return pageURL.href;
+    }
+    return routeURL.href;
+}
+
+/**
+ * Find the route element with the best ranked pattern that matches the specified path.
+ * @param {string} path - The path to match, e.g. '/profile/15'.
+ * @return {object|null} The match ({routeElement, params, rank}) or null if no route matches.
+ */
+function sf_routing_match_route(path) {
+    let bestMatch = null;
+
+    document.querySelectorAll('route[path]').forEach(routeElement => {
+        const pattern = sf_routing_get_route_pattern(routeElement);
+        const params = sf_routing_match_path(pattern, path);
+        if(params) {
+            const rank = sf_routing_rank_path(pattern);
+            const comparison = bestMatch ? sf_routing_compare_ranks(rank, bestMatch.rank) : 1;
+            if(comparison > 0 || (comparison === 0 && bestMatch.routeElement.contains(routeElement))) {
+                bestMatch = { routeElement, params, rank };
+            }
+        }
+    });
+
+    return bestMatch;
+}
+
+/**
+ * Match a path against a route pattern. Supported segments: static ('/profile'), named params ('/:id'),
+ * optional params ('/:tab?') and wildcards ('/*' or '/*rest') that capture the remaining path.
+ * @param {string} pattern - The route pattern, e.g. '/profile/:id'.
+ * @param {string} path - The path to match, e.g. '/profile/15'.
+ * @return {object|null} The matched params or null if the path does not match the pattern
+ * or contains a malformed percent-encoding.
+ */
+function sf_routing_match_path(pattern, path) {
+    const patternSegments = sf_routing_split_path(pattern);
+    const pathSegments = sf_routing_split_path(path);
+    const params = new Object();
+
+    try {
+        for(let i = 0; i < patternSegments.length; i++) {
+            const segment = patternSegments[i];
+
+            if(segment.startsWith('*')) {
+                params[segment.slice(1) || '*'] = pathSegments.slice(i).map(decodeURIComponent).join('/');
+                return params;
+            }
+
+            if(segment.startsWith(':')) {
+                const isOptional = segment.endsWith('?');
+                const name = segment.slice(1, isOptional ? -1 : undefined);
+                if(i < pathSegments.length) {
+                    params[name] = decodeURIComponent(pathSegments[i]);
+                } else if(!isOptional) {
+                    return null;
+                }
+            } else if(segment !== pathSegments[i]) {
+                return null;
+            }
+        }
+    } catch (error) {
+        if(error instanceof URIError) {
+            return null;
+        }
+
+        throw error;
+    }
+
+    return pathSegments.length <= patternSegments.length ? params : null;
+}
+
+/**
+ * Calculate the rank of a route pattern: static segments outrank params, params outrank optional
+ * params and wildcards come last.
+ * @param {string} pattern - The route pattern.
+ * @return {number[]} The rank of every pattern segment.
+ */
+function sf_routing_rank_path(pattern) {
+    return sf_routing_split_path(pattern).map(segment => {
+        if(segment.startsWith('*')) {
+            return 0;
+        }
+        if(segment.startsWith(':')) {
+            return segment.endsWith('?') ? 1 : 2;
+        }
+        return 3;
+    });
+}
+
+/**
+ * Compare two route ranks segment by segment. When one rank is a prefix of the other, the shorter one
+ * wins because the extra segments can only be optional params or wildcards.
+ * @param {number[]} rank - The first rank.
+ * @param {number[]} otherRank - The second rank.
+ * @return {number} A positive number if the first rank is better, a negative number if it is worse, otherwise 0.
+ */
+function sf_routing_compare_ranks(rank, otherRank) {
+    for(let i = 0; i < Math.min(rank.length, otherRank.length); i++) {
+        if(rank[i] !== otherRank[i]) {
+            return rank[i] - otherRank[i];
+        }
+    }
+    return otherRank.length - rank.length;
+}
+
+/**
+ * Build a path from a route pattern and params.
+ * @param {string} pattern - The route pattern, e.g. '/profile/:id'.
+ * @param {object} [params=null] - The params to insert into the pattern.
+ * @return {string|null} The path or null if a required param is missing.
+ */
+function sf_routing_build_path(pattern, params = null) {
+    const segments = new Array();
+
+    for(const segment of sf_routing_split_path(pattern)) {
+        if(segment.startsWith('*')) {
+            const value = params?.[segment.slice(1) || '*'];
+            if(value) {
+                segments.push(...sf_routing_split_path(String(value)).map(encodeURIComponent));
+            }
+        } else if(segment.startsWith(':')) {
+            const isOptional = segment.endsWith('?');
+            const value = params?.[segment.slice(1, isOptional ? -1 : undefined)];
+            if(value === undefined || value === null) {
+                if(isOptional) {
+                    continue;
+                }
+                return null;
+            }
+            segments.push(encodeURIComponent(value));
+        } else {
+            segments.push(segment);
+        }
+    }
+
+    return '/' + segments.join('/');
+}
+
+/**
+ * Split a path into non-empty segments.
+ * @param {string} path - The path to split.
+ * @return {string[]} The path segments.
+ */
+function sf_routing_split_path(path) {
+    return path.split('/').filter(segment => segment.length > 0);
+}
+
+/**
+ * Set the current route path based on the specified component name. If the component has several routes,
+ * the last one that can be built from the params is used.
+ * @param {string} componentName - The name of the component to set the route path for.
+ * @param {boolean} saveSearchParams - Whether to save search parameters in the URL or not. Default is true.
+ * @param {object} [routeParams=null] - The params to build the route path with.
+ * @param {string} [historyMode='push'] - How to record the path in the browser history: 'push' or 'replace'.
+ * @return {void}
+ */
+function sf_routing_set_route_path(componentName, saveSearchParams = true, routeParams = null, historyMode = "push") {
+    const route = sf_routing_find_component_route(componentName, routeParams);
+
+    if(!route) {
+        return;
+    }
+
+    const routeURL = sf_routing_get_location();
+    routeURL.pathname = route.path;
+
+    if(!saveSearchParams) {
+        routeURL.search = "";
+    }
+
+    sf_routing_update_history(sf_routing_get_href(routeURL), componentName, routeParams, historyMode);
+}
+
+/**
+ * Find the route of a component. If the component has several routes, the last one that can be built
+ * from the params is used.
+ * @param {string} componentName - The name of the component.
+ * @param {object} [routeParams=null] - The params to build the route path with.
+ * @return {object|null} The route ({routeElement, path}) or null if the component has no suitable route.
+ */
+function sf_routing_find_component_route(componentName, routeParams = null) {
+    let route = null;
+
+    document.querySelectorAll(`route[path][navigation-component-name="${componentName}"]`).forEach(routeElement => {
+        const path = sf_routing_build_path(sf_routing_get_route_pattern(routeElement), routeParams);
+        if(path !== null) {
+            route = { routeElement, path };
+        }
+    });
+
+    return route;
+}
+
+/**
+ * Push or replace a browser history entry. The entry state stores the component name and route params
+ * to restore the component on 'popstate', and the states of components (see 'component.setHistoryState').
+ * @param {string} href - The URL of the entry.
+ * @param {string} componentName - The name of the navigated component.
+ * @param {object} routeParams - The route params of the navigated component.
+ * @param {string} [historyMode='push'] - How to record the entry: 'push' or 'replace'.
+ * @return {void}
+ */
+function sf_routing_update_history(href, componentName, routeParams, historyMode = "push") {
+    if(historyMode === "push") {
+        sf_routing_history_index++;
+    }
+
+    const state = {
+        index: sf_routing_history_index,
+        componentName: componentName,
+        routeParams: routeParams,
+        componentStates: new Object()
+    };
+
+    if(historyMode === "replace") {
+        window.history.replaceState(state, '', href);
+    } else if(historyMode === "push") {
+        window.history.pushState(state, '', href);
+    }
+
+    sf_routing_handled_href = window.location.href;
+}
+
+/**
+ * Store the state of a component in the current browser history entry, it is available again
+ * via 'component.getHistoryState()' when the user returns to the entry.
+ * @param {string} componentName - The name of the component.
+ * @param {*} data - Any serializable data.
+ * @return {void}
+ */
+function sf_routing_set_history_state(componentName, data) {
+    const state = Object.assign(new Object(), window.history.state);
+    state.componentStates = Object.assign(new Object(), state.componentStates, { [componentName]: data });
+    window.history.replaceState(state, '');
+}
+
+
+/*
+    DEPARTMENT -> PROPERTY MANAGEMENT
+*/
+
+/**
+ * Create a property object with a default value and an optional callback function to be called when the value is changed.
+ * @param {*} defaultPropertyValue - The default value of the property.
+ * @param {function} [raiseCallback=null] - An optional callback function to be called when the value is changed.
+ * @param {boolean} [deep=false] - Whether changes inside nested objects and arrays of the value raise the property too.
+ * @return {object} - A property object with getter and setter methods for the value (get(), set(value), raise()),
+ * subscribe(callback) and unsubscribe(callback) for other listeners of changes.
+ */
+function sf_property_set(defaultPropertyValue, raiseCallback = null, deep = false) {
+    const property = {
+        _value: defaultPropertyValue,
+        _raiseCallback: raiseCallback,
+        _subscribers: new Array(),
+        _deep: deep,
+        _proxies: new WeakMap(),
+        sf_property: true,
+
+        get value() {
             return this.get();
         },
         set value(newValue) {
             this.set(newValue);
         },
 
-        get: function() {
-            return this._value;
-        },
-        set: function(newValue) {
-            this._value = newValue;
-            this.raise();
+        get: function() {
+            sf_property_dependencies?.add(this);
+            return this._value;
+        },
+        set: function(newValue) {
+            const oldValue = this._value;
+            this._value = this._deep ? sf_property_observe(this, newValue) : newValue;
+            this.raise(oldValue);
+        },
+        raise: function(oldValue = this._value) {
+            if(this._raiseCallback) {
+                this._raiseCallback(this._value);
+            }
+            this._subscribers.slice().forEach(callback => callback(this._value, oldValue));
+        },
+        subscribe: function(callback) {
+            this._subscribers.push(callback);
+            return () => this.unsubscribe(callback);
+        },
+        unsubscribe: function(callback) {
+            const index = this._subscribers.indexOf(callback);
+            if(index !== -1) {
+                this._subscribers.splice(index, 1);
+            }
+        }
+      };
+
+    if(deep) {
+        property._value = sf_property_observe(property, defaultPropertyValue);
+    }
+
+    return property;
+}
+
+/**
+ * Wrap a plain object or an array into a proxy that raises the property when the object or its nested objects change.
+ * Other values are returned unchanged.
+ * @param {object} property - The property to raise.
+ * @param {*} value - The value to observe.
+ * @return {*} The proxy or the value.
+ */
+function sf_property_observe(property, value) {
+    if(value === null || typeof value !== "object" || value[SF_PROPERTY_PROXY_TARGET]) {
+        return value;
+    }
+
+    const prototype = Object.getPrototypeOf(value);
+    if(!Array.isArray(value) && prototype !== Object.prototype && prototype !== null) {
+        return value;
+    }
+
+    if(!property._proxies.has(value)) {
+        property._proxies.set(value, new Proxy(value, {
+            get(target, key, receiver) {
+                return key === SF_PROPERTY_PROXY_TARGET
+                    ? target
+                    : sf_property_observe(property, Reflect.get(target, key, receiver));
+            },
+            set(target, key, newValue, receiver) {
+                const oldValue = target[key];
+                const rawValue = newValue?.[SF_PROPERTY_PROXY_TARGET] ?? newValue;
+                const result = Reflect.set(target, key, rawValue, receiver);
+
+                if(oldValue !== rawValue) {
+                    property.raise();
+                }
+                return result;
+            },
+            deleteProperty(target, key) {
+                const hadKey = Object.prototype.hasOwnProperty.call(target, key);
+                const result = Reflect.deleteProperty(target, key);
+
+                if(hadKey) {
+                    property.raise();
+                }
+                return result;
+            }
+        }));
+    }
+
+    return property._proxies.get(value);
+}
+
+/**
+ * Call a function and collect the properties whose values it reads.
+ * @param {function} callback - The function to call.
+ * @return {object} The result of the function ('value') and the set of read properties ('dependencies').
+ */
+function sf_property_track_dependencies(callback) {
+    const outerDependencies = sf_property_dependencies;
+    const dependencies = new Set();
+
+    sf_property_dependencies = dependencies;
+
+    try {
+        return { value: callback(), dependencies: dependencies };
+    } finally {
+        sf_property_dependencies = outerDependencies;
+    }
+}
+
+
+/*
+    DEPARTMENT -> EXPRESSIONS
+*/
+
+/**
+ * Register a filter for template expressions, '{{price | currency:"EUR"}}' calls the filter with the value and the arguments.
+ * @param {string} name - The name of the filter.
+ * @param {function} callback - The filter function: (value, ...args) => result.
+ * @return {void}
+ */
+function sf_expression_add_filter(name, callback) {
+    sf_expression_filters[name] = callback;
+}
+
+/**
+ * Expose a value to all expressions, e.g. 'sf_expression_add_global("Math", Math)'. Expressions can not access
+ * any other global objects.
+ * @param {string} name - The name of the value in expressions.
+ * @param {*} value - The value.
+ * @return {void}
+ */
+function sf_expression_add_global(name, value) {
+    sf_expression_globals[name] = value;
+}
+
+/**
+ * Parse a template with '{{ }}' placeholders.
+ * @param {string} text - The template text.
+ * @return {object} The template: the text, the parts (strings and parsed expressions) and the keys the expressions depend on.
+ */
+function sf_expression_parse_template(text) {
+    const pattern = /{{([\s\S]+?)}}/g;
+    const parts = new Array();
+    const keys = new Set();
+    let lastIndex = 0;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        if(match.index > lastIndex) {
+            parts.push(text.slice(lastIndex, match.index));
+        }
+
+        const expression = sf_expression_parse(match[1]);
+        sf_expression_collect_keys(expression, keys);
+        parts.push({ expression: expression, text: match[0] });
+        lastIndex = pattern.lastIndex;
+    }
+
+    if(lastIndex < text.length) {
+        parts.push(text.slice(lastIndex));
+    }
+
+    return { text: text, parts: parts, keys: Array.from(keys) };
+}
+
+/**
+ * Parse a condition: the whole text is one expression and the placeholders are parts of it ("{{count}} > 2", "'{{name}}' == 'Bob'").
+ * @param {string} text - The condition text.
+ * @return {object} The condition as a template of a single expression.
+ */
+function sf_expression_parse_condition(text) {
+    const expression = sf_expression_parse(text.replace(/(["']?){{([\s\S]+?)}}\1/g, (match, quote, placeholder) => `(${placeholder})`));
+    const keys = new Set();
+
+    sf_expression_collect_keys(expression, keys);
+
+    return { text: text, parts: [{ expression: expression }], keys: Array.from(keys) };
+}
+
+/**
+ * Render a parsed template. A template of a single placeholder returns the value of the expression as is, other templates a string.
+ * @param {object} template - The parsed template.
+ * @param {object} scope - The object whose properties are available in expressions (e.g. a model).
+ * @param {boolean} [keepUnknown] - Placeholders whose root name is neither in the scope nor in the globals keep their original text.
+ * @return {*} The rendered value.
+ */
+function sf_expression_render_template(template, scope, keepUnknown = false) {
+    if(template.parts.length === 1 && typeof template.parts[0] !== "string") {
+        return sf_expression_render_part(template.parts[0], scope, keepUnknown);
+    }
+
+    return template.parts
+        .map(part => typeof part === "string" ? part : sf_expression_to_string(sf_expression_render_part(part, scope, keepUnknown)))
+        .join("");
+}
+
+/**
+ * Render a placeholder of a template.
+ * @param {object} part - The placeholder: the parsed expression and the original text.
+ * @param {object} scope - The scope of the expression.
+ * @param {boolean} keepUnknown - Whether the original text is kept when the root name of the expression is unknown.
+ * @return {*} The value of the expression or the original text.
+ */
+function sf_expression_render_part(part, scope, keepUnknown) {
+    const name = keepUnknown && part.text !== undefined ? sf_expression_get_root_name(part.expression) : null;
+
+    if(name !== null && !(scope && Object.prototype.hasOwnProperty.call(scope, name))
+        && !Object.prototype.hasOwnProperty.call(sf_expression_globals, name)) {
+        return part.text;
+    }
+
+    return sf_expression_evaluate(part.expression, scope);
+}
+
+/**
+ * Get the root name of an expression ('user' for "user.name | upper").
+ * @param {object} expression - The parsed expression.
+ * @return {string|null} The root name or null when the expression does not start with a name.
+ */
+function sf_expression_get_root_name(expression) {
+    switch (expression.type) {
+        case "identifier":
+            return expression.name;
+        case "member":
+            return sf_expression_get_root_name(expression.object);
+        case "call":
+            return sf_expression_get_root_name(expression.callee);
+        case "filter":
+            return sf_expression_get_root_name(expression.value);
+        default:
+            return null;
+    }
+}
+
+/**
+ * Convert a value of an expression to a string, null and undefined are empty strings.
+ * @param {*} value - The value.
+ * @return {string} The string.
+ */
+function sf_expression_to_string(value) {
+    return value === null || value === undefined ? "" : String(value);
+}
+
+/**
+ * Parse an expression: literals, names, '.' and '[]' member access, function calls, arithmetic, comparison and logical
+ * operators, the ternary operator and filters ('value | filter:arg'). Parsed expressions are cached.
+ * Syntax errors have the 'expression' and 'position' fields.
+ * @param {string} text - The expression.
+ * @return {object} The syntax tree of the expression.
+ */
+function sf_expression_parse(text) {
+    if(!sf_expression_cache.has(text)) {
+        const parser = { text: text, tokens: sf_expression_tokenize(text), index: 0 };
+        const expression = sf_expression_parse_pipe(parser);
+
+        if(parser.index < parser.tokens.length) {
+            throw sf_expression_parse_error(parser, "Unexpected");
+        }
+
+        sf_expression_cache.set(text, expression);
+    }
+
+    return sf_expression_cache.get(text);
+}
+
+/**
+ * Split an expression into tokens: literals, identifiers and operators.
+ * @param {string} text - The expression.
+ * @return {Array} The tokens.
+ */
+function sf_expression_tokenize(text) {
+    const tokens = new Array();
+    let position = 0;
+
+    while (position < text.length) {
+        const rest = text.slice(position);
+        const char = text[position];
+
+        if(/\s/.test(char)) {
+            position++;
+            continue;
+        }
+
+        const number = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(rest);
+        if(number) {
+            tokens.push({ type: "literal", value: Number(number[0]), position: position });
+            position += number[0].length;
+            continue;
+        }
+
+        if(char === '"' || char === "'") {
+            let value = "";
+            let end = position + 1;
+
+            while (end < text.length && text[end] !== char) {
+                if(text[end] === "\\") {
+                    end++;
+                }
+                value += text[end] ?? "";
+                end++;
+            }
+
+            if(end >= text.length) {
+                throw sf_expression_create_error("Unterminated string", text, position);
+            }
+
+            tokens.push({ type: "literal", value: value, position: position });
+            position = end + 1;
+            continue;
+        }
+
+        const identifier = /^[A-Za-z_$][\w$]*/.exec(rest);
+        if(identifier) {
+            tokens.push({ type: "identifier", value: identifier[0], position: position });
+            position += identifier[0].length;
+            continue;
+        }
+
+        const operator = SF_EXPRESSION_OPERATORS.find(operator => rest.startsWith(operator));
+        if(operator) {
+            tokens.push({ type: "operator", value: operator, position: position });
+            position += operator.length;
+            continue;
+        }
+
+        throw sf_expression_create_error(`Unexpected '${char}'`, text, position);
+    }
+
+    return tokens;
+}
+
+/**
+ * Take the next token if it is one of the operators.
+ * @param {object} parser - The parser state.
+ * @param {...string} operators - The expected operators.
+ * @return {string|null} The operator or null.
+ */
+function sf_expression_match(parser, ...operators) {
+    const token = parser.tokens[parser.index];
+
+    if(token?.type === "operator" && operators.includes(token.value)) {
+        parser.index++;
+        return token.value;
+    }
+
+    return null;
+}
+
+/**
+ * Take the next token, it must be the operator.
+ * @param {object} parser - The parser state.
+ * @param {string} operator - The expected operator.
+ * @return {void}
+ */
+function sf_expression_expect(parser, operator) {
+    if(sf_expression_match(parser, operator) === null) {
+        throw sf_expression_parse_error(parser, `Expected '${operator}' but found`);
+    }
+}
+
+/**
+ * Create a syntax error of an expression.
+ * @param {string} message - The description of the error.
+ * @param {string} text - The expression.
+ * @param {number} position - The position of the error in the expression.
+ * @return {SyntaxError} The error with 'expression' and 'position' fields.
+ */
+function sf_expression_create_error(message, text, position) {
+    const error = new SyntaxError(`${message} at position ${position} in expression '${text}'`);
+    error.expression = text;
+    error.position = position;
+    return error;
+}
+
+/**
+ * Create a syntax error at the current token of the parser, the message is followed by the token.
+ * @param {object} parser - The parser state.
+ * @param {string} message - The description of the error.
+ * @return {SyntaxError} The error.
+ */
+function sf_expression_parse_error(parser, message) {
+    const token = parser.tokens[parser.index];
+
+    return token
+        ? sf_expression_create_error(`${message} '${token.value}'`, parser.text, token.position)
+        : sf_expression_create_error(`${message} end of expression`, parser.text, parser.text.length);
+}
+
+/**
+ * Parse filters: 'value | filter:arg1:arg2 | otherFilter'.
+ * @param {object} parser - The parser state.
+ * @return {object} The syntax tree.
+ */
+function sf_expression_parse_pipe(parser) {
+    let expression = sf_expression_parse_conditional(parser);
+
+    while (sf_expression_match(parser, "|") !== null) {
+        const token = parser.tokens[parser.index];
+
+        if(token?.type !== "identifier") {
+            throw sf_expression_parse_error(parser, "Expected a filter name but found");
+        }
+
+        parser.index++;
+
+        const args = new Array();
+        while (sf_expression_match(parser, ":") !== null) {
+            args.push(sf_expression_parse_conditional(parser));
+        }
+
+        expression = { type: "filter", name: token.value, value: expression, args: args };
+    }
+
+    return expression;
+}
+
+/**
+ * Parse the ternary operator: 'test ? consequent : alternate'.
+ * @param {object} parser - The parser state.
+ * @return {object} The syntax tree.
+ */
+function sf_expression_parse_conditional(parser) {
+    const test = sf_expression_parse_binary(parser, 0);
+
+    if(sf_expression_match(parser, "?") === null) {
+        return test;
+    }
+
+    const consequent = sf_expression_parse_conditional(parser);
+    sf_expression_expect(parser, ":");
+    const alternate = sf_expression_parse_conditional(parser);
+
+    return { type: "conditional", test: test, consequent: consequent, alternate: alternate };
+}
+
+/**
+ * Parse binary operators by the precedence levels of SF_EXPRESSION_BINARY_OPERATORS.
+ * @param {object} parser - The parser state.
+ * @param {number} level - The precedence level.
+ * @return {object} The syntax tree.
+ */
+function sf_expression_parse_binary(parser, level) {
+    if(level === SF_EXPRESSION_BINARY_OPERATORS.length) {
+        return sf_expression_parse_unary(parser);
+    }
+
+    let left = sf_expression_parse_binary(parser, level + 1);
+    let operator;
+
+    while ((operator = sf_expression_match(parser, ...SF_EXPRESSION_BINARY_OPERATORS[level])) !== null) {
+        left = { type: "binary", operator: operator, left: left, right: sf_expression_parse_binary(parser, level + 1) };
+    }
+
+    return left;
+}
+
+/**
+ * Parse unary operators: '!', '-' and '+'.
+ * @param {object} parser - The parser state.
+ * @return {object} The syntax tree.
+ */
+function sf_expression_parse_unary(parser) {
+    const operator = sf_expression_match(parser, "!", "-", "+");
+
+    if(operator !== null) {
+        return { type: "unary", operator: operator, argument: sf_expression_parse_unary(parser) };
+    }
+
+    return sf_expression_parse_member(parser);
+}
+
+/**
+ * Parse member access and function calls: 'user.name', 'items[0]', 'format(price, "EUR")'.
+ * @param {object} parser - The parser state.
+ * @return {object} The syntax tree.
+ */
+function sf_expression_parse_member(parser) {
+    let expression = sf_expression_parse_primary(parser);
+
+    while (true) {
+        if(sf_expression_match(parser, ".") !== null) {
+            const token = parser.tokens[parser.index];
+
+            if(token?.type !== "identifier") {
+                throw sf_expression_parse_error(parser, "Expected a property name but found");
+            }
+
+            parser.index++;
+
+            expression = { type: "member", object: expression, property: { type: "literal", value: token.value } };
+        } else if(sf_expression_match(parser, "[") !== null) {
+            const property = sf_expression_parse_pipe(parser);
+            sf_expression_expect(parser, "]");
+            expression = { type: "member", object: expression, property: property };
+        } else if(sf_expression_match(parser, "(") !== null) {
+            const args = new Array();
+
+            if(sf_expression_match(parser, ")") === null) {
+                do {
+                    args.push(sf_expression_parse_pipe(parser));
+                } while (sf_expression_match(parser, ",") !== null);
+
+                sf_expression_expect(parser, ")");
+            }
+
+            expression = { type: "call", callee: expression, args: args };
+        } else {
+            return expression;
+        }
+    }
+}
+
+/**
+ * Parse literals, names and expressions in parentheses.
+ * @param {object} parser - The parser state.
+ * @return {object} The syntax tree.
+ */
+function sf_expression_parse_primary(parser) {
+    const token = parser.tokens[parser.index];
+    const literals = { true: true, false: false, null: null, undefined: undefined };
+
+    if(!token) {
+        throw sf_expression_parse_error(parser, "Unexpected");
+    }
+
+    parser.index++;
+
+    if(token.type === "literal") {
+        return { type: "literal", value: token.value };
+    }
+
+    if(token.type === "identifier") {
+        return Object.prototype.hasOwnProperty.call(literals, token.value)
+            ? { type: "literal", value: literals[token.value] }
+            : { type: "identifier", name: token.value };
+    }
+
+    if(token.value === "(") {
+        const expression = sf_expression_parse_pipe(parser);
+        sf_expression_expect(parser, ")");
+        return expression;
+    }
+
+    parser.index--;
+    throw sf_expression_parse_error(parser, "Unexpected");
+}
+
+/**
+ * Collect the names an expression depends on.
+ * @param {object} expression - The syntax tree.
+ * @param {Set} keys - The set the names are added to.
+ * @return {void}
+ */
+function sf_expression_collect_keys(expression, keys) {
+    switch (expression.type) {
+        case "identifier":
+            keys.add(expression.name);
+            break;
+        case "member":
+            sf_expression_collect_keys(expression.object, keys);
+            sf_expression_collect_keys(expression.property, keys);
+            break;
+        case "call":
+            sf_expression_collect_keys(expression.callee, keys);
+            expression.args.forEach(arg => sf_expression_collect_keys(arg, keys));
+            break;
+        case "unary":
+            sf_expression_collect_keys(expression.argument, keys);
+            break;
+        case "binary":
+            sf_expression_collect_keys(expression.left, keys);
+            sf_expression_collect_keys(expression.right, keys);
+            break;
+        case "conditional":
+            sf_expression_collect_keys(expression.test, keys);
+            sf_expression_collect_keys(expression.consequent, keys);
+            sf_expression_collect_keys(expression.alternate, keys);
+            break;
+        case "filter":
+            sf_expression_collect_keys(expression.value, keys);
+            expression.args.forEach(arg => sf_expression_collect_keys(arg, keys));
+            break;
+    }
+}
+
+/**
+ * Evaluate a parsed expression. Names are looked up in the own properties of the scope and in 'sf_expression_globals',
+ * property objects are unwrapped. Functions of the scope are called with the scope as 'this'.
+ * @param {object} expression - The syntax tree.
+ * @param {object} scope - The object whose properties are available in the expression.
+ * @return {*} The value of the expression.
+ */
+function sf_expression_evaluate(expression, scope) {
+    switch (expression.type) {
+        case "literal":
+            return expression.value;
+        case "identifier":
+            return sf_expression_get_value(scope, expression.name);
+        case "member":
+            return sf_expression_evaluate_member(expression, scope);
+        case "call":
+            return sf_expression_evaluate_call(expression, scope);
+        case "unary": {
+            const argument = sf_expression_evaluate(expression.argument, scope);
+            return expression.operator === "!" ? !argument : expression.operator === "-" ? -argument : +argument;
+        }
+        case "binary":
+            return sf_expression_evaluate_binary(expression, scope);
+        case "conditional":
+            return sf_expression_evaluate(expression.test, scope)
+                ? sf_expression_evaluate(expression.consequent, scope)
+                : sf_expression_evaluate(expression.alternate, scope);
+        case "filter": {
+            if(!Object.prototype.hasOwnProperty.call(sf_expression_filters, expression.name)) {
+                throw new Error(`Unknown filter '${expression.name}'`);
+            }
+
+            const args = expression.args.map(arg => sf_expression_evaluate(arg, scope));
+            return sf_expression_filters[expression.name](sf_expression_evaluate(expression.value, scope), ...args);
+        }
+    }
+}
+
+/**
+ * Evaluate a function call. Methods are called with their object as 'this', functions of the scope with the scope.
+ * @param {object} expression - The syntax tree of the call.
+ * @param {object} scope - The scope of the expression.
+ * @return {*} The result of the function.
+ */
+function sf_expression_evaluate_call(expression, scope) {
+    const callee = expression.callee;
+    let thisArgument = undefined;
+    let callback;
+
+    if(callee.type === "member") {
+        thisArgument = sf_expression_evaluate(callee.object, scope);
+        callback = sf_expression_get_member(thisArgument, sf_expression_evaluate(callee.property, scope));
+    } else {
+        callback = sf_expression_evaluate(callee, scope);
+        if(callee.type === "identifier" && Object.prototype.hasOwnProperty.call(scope ?? new Object(), callee.name)) {
+            thisArgument = scope;
+        }
+    }
+
+    if(typeof callback !== "function" || callback === Function) {
+        const name = callee.type === "identifier" ? callee.name : callee.property?.value ?? "expression";
+        throw new TypeError(`'${name}' is not a function`);
+    }
+
+    const args = expression.args.map(arg => sf_expression_evaluate(arg, scope));
+    return callback.apply(thisArgument, args);
+}
+
+/**
+ * Evaluate a member access. The validation state of a model property is available as its members: {{name.error}}.
+ * @param {object} expression - The syntax tree of the member access.
+ * @param {object} scope - The scope of the expression.
+ * @return {*} The value of the member.
+ */
+function sf_expression_evaluate_member(expression, scope) {
+    const name = sf_expression_evaluate(expression.property, scope);
+
+    if(expression.object.type === "identifier" && scope && Object.prototype.hasOwnProperty.call(scope, expression.object.name)) {
+        const validation = scope[expression.object.name]?.validation;
+
+        if(validation && SF_VALIDATION_STATE_MEMBERS.includes(name)) {
+            return validation[name];
+        }
+    }
+
+    return sf_expression_get_member(sf_expression_evaluate(expression.object, scope), name);
+}
+
+/**
+ * Get a member of an object, members that give access to constructors and prototypes are not allowed.
+ * @param {*} object - The object.
+ * @param {*} name - The name of the member.
+ * @return {*} The value of the member or undefined if the object is null or undefined.
+ */
+function sf_expression_get_member(object, name) {
+    if(SF_EXPRESSION_BLOCKED_MEMBERS.includes(String(name))) {
+        throw new Error(`Access to '${name}' is not allowed in expressions`);
+    }
+
+    return object === null || object === undefined ? undefined : object[name];
+}
+
+/**
+ * Evaluate a binary operator, logical operators evaluate the right side only when needed.
+ * @param {object} expression - The syntax tree of the operator.
+ * @param {object} scope - The scope of the expression.
+ * @return {*} The result.
+ */
+function sf_expression_evaluate_binary(expression, scope) {
+    const left = sf_expression_evaluate(expression.left, scope);
+    const right = () => sf_expression_evaluate(expression.right, scope);
+
+    switch (expression.operator) {
+        case "||": return left || right();
+        case "&&": return left && right();
+        case "??": return left ?? right();
+        case "===": return left === right();
+        case "!==": return left !== right();
+        case "==": return left == right();
+        case "!=": return left != right();
+        case "<": return left < right();
+        case ">": return left > right();
+        case "<=": return left <= right();
+        case ">=": return left >= right();
+        case "+": return left + right();
+        case "-": return left - right();
+        case "*": return left * right();
+        case "/": return left / right();
+        case "%": return left % right();
+    }
+}
+
+/**
+ * Get the value of a name from the scope or the globals, property objects return their value.
+ * @param {object} scope - The scope of the expression.
+ * @param {string} name - The name.
+ * @return {*} The value or undefined.
+ */
+function sf_expression_get_value(scope, name) {
+    let value = undefined;
+
+    if(scope && Object.prototype.hasOwnProperty.call(scope, name)) {
+        value = scope[name];
+    } else if(Object.prototype.hasOwnProperty.call(sf_expression_globals, name)) {
+        value = sf_expression_globals[name];
+    }
+
+    return value?.sf_property ? value.value : value;
+}
+
+
+/*
+    DEPARTMENT -> MODEL MECHANICS
+*/
+
+/**
+ * Set a model-object for the target element and track its properties, commands, bindings.
+ * The 'construct' function of the model is called after that and the 'destruct' function when the owner component unloads.
+ * A target element that has a model already is rebound: the disposers of the previous model run and the bindings
+ * of the element are rendered with the new model, the elements and their state are kept.
+ * @param {HTMLElement} targetElement - The target element to set the model for.
+ * @param {*} model - The model to set for the target element.
+ * @return {void}
+ */
+function sf_model_set(targetElement, model) {
+    const rebinding = targetElement.sf_index instanceof Map;
+
+    if(rebinding) {
+        sf_model_run_disposers(targetElement);
+    } else {
+        targetElement.sf_index = new Map();
+        targetElement.sf_validations = new Map();
+    }
+
+    targetElement.sf_model = model;
+    sf_model_elements.set(model, targetElement);
+
+    sf_model_track_properties(targetElement, model);
+    sf_validation_define_functions(targetElement, model);
+
+    if(rebinding) {
+        sf_model_update_entries(targetElement, new Set(Array.from(targetElement.sf_index.values()).flatMap(entries => Array.from(entries))));
+        sf_validation_update_commands(targetElement);
+    } else {
+        sf_model_bind_element(targetElement, targetElement);
+    }
+
+    if(model.construct) {
+        model.construct.bind(model)
+        model.construct(targetElement);
+    }
+
+    if(model.destruct) {
+        sf_model_add_disposer(targetElement, () => model.destruct(targetElement));
+    }
+}
+
+/**
+ * Add a disposer to the target element of a model. Disposers run when the element is removed by a multiplier
+ * or an 'if' template, or when the owner component unloads.
+ * @param {HTMLElement} targetElement - The target element of the model.
+ * @param {function} callback - The disposer.
+ * @return {void}
+ */
+function sf_model_add_disposer(targetElement, callback) {
+    const ownerElement = sf_component_get_owner(targetElement);
+    const lifecycle = ownerElement ? sf_component_get_lifecycle(ownerElement) : null;
+
+    if(lifecycle && !lifecycle.modelDisposal) {
+        lifecycle.modelDisposal = true;
+        lifecycle.disposers.push(() => sf_model_dispose(ownerElement));
+    }
+
+    targetElement.sf_disposers = targetElement.sf_disposers ?? new Array();
+    targetElement.sf_disposers.push(callback);
+}
+
+/**
+ * Remove a rendered element of a model: the components within it are unloaded and the disposers of its models run.
+ * @param {HTMLElement} element - The element to remove.
+ * @return {void}
+ */
+function sf_model_remove_element(element) {
+    Array.from(element.querySelectorAll("component[name]"))
+        .map(componentElement => componentElement.getAttribute("name"))
+        .forEach(componentName => sf_component_unload(componentName));
+
+    sf_model_dispose(element);
+    element.remove();
+}
+
+/**
+ * Run the disposers of the models within an element, nested models first. Each disposer runs once.
+ * @param {HTMLElement} rootElement - The element that is removed.
+ * @return {void}
+ */
+function sf_model_dispose(rootElement) {
+    sf_model_query(rootElement, '[template]').reverse().forEach(element => sf_model_run_disposers(element));
+}
+
+/**
+ * Run the disposers of the model of an element, the last added first.
+ * @param {HTMLElement} element - The target element of the model.
+ * @return {void}
+ */
+function sf_model_run_disposers(element) {
+    const disposers = element.sf_disposers ?? new Array();
+    element.sf_disposers = new Array();
+
+    disposers.reverse().forEach(disposer => {
+        try {
+            disposer();
+        } catch (error) {
+            console.error(`Disposer of the template '${element.getAttribute('template')}' failed`, error);
+        }
+    });
+}
+
+/**
+ * Bind an element to the model of the target element: 'if'/'else' templates, placeholders, commands, form controls
+ * and 'multiplier' templates. Used for the target element itself and for the shown branches of 'if' templates.
+ * @param {HTMLElement} targetElement - The target element of the model.
+ * @param {HTMLElement} rootElement - The element to bind.
+ * @return {void}
+ */
+function sf_model_bind_element(targetElement, rootElement) {
+    const model = targetElement.sf_model;
+    const structures = sf_model_find_structures(targetElement, rootElement);
+    const bindings = sf_model_find_properties(rootElement);
+
+    bindings.forEach(binding => {
+        sf_model_index_add(targetElement, binding.template.keys, binding);
+        sf_model_render_binding(binding, model);
+    });
+
+    sf_model_track_commands(rootElement, model, targetElement);
+    sf_model_track_bindings(targetElement, model, rootElement);
+
+    sf_model_find_multipliers(targetElement, rootElement).forEach(multiplier => {
+        sf_model_index_add(targetElement, multiplier.template.keys, multiplier);
+        sf_model_update_nested_multiplier(targetElement, multiplier);
+    });
+
+    structures.forEach(structure => {
+        sf_model_index_add(targetElement, structure.condition.keys, structure);
+        sf_model_update_structure(targetElement, structure);
+    });
+
+    sf_validation_update_commands(targetElement);
+}
+
+/**
+ * Remove the bindings, form controls, 'if' templates and multipliers of an element from the index of the target element.
+ * @param {HTMLElement} targetElement - The target element of the model.
+ * @param {HTMLElement} rootElement - The element that is removed.
+ * @return {void}
+ */
+function sf_model_unbind_element(targetElement, rootElement) {
+    sf_validation_unbind_element(targetElement, rootElement);
+
+    targetElement.sf_index.forEach(entries => entries.forEach(entry => {
+        if(rootElement.contains(entry.node)) {
+            entry.removed = true;
+            entries.delete(entry);
+        }
+    }));
+}
+
+/**
+ * Add an entry (a binding, a form control, a multiplier or an 'if' template) to the index of the target element,
+ * which maps the keys of the model properties to the entries that depend on them.
+ * @param {HTMLElement} targetElement - The target element of the model.
+ * @param {string[]} keys - The keys of the properties the entry depends on.
+ * @param {object} entry - The entry.
+ * @return {void}
+ */
+function sf_model_index_add(targetElement, keys, entry) {
+    keys.forEach(key => {
+        if(key === "$state") {
+            sf_state_bound_elements.add(targetElement);
+        }
+
+        if(!targetElement.sf_index.has(key)) {
+            targetElement.sf_index.set(key, new Set());
+        }
+
+        targetElement.sf_index.get(key).add(entry);
+    });
+}
+
+/**
+ * Find the 'if' templates of the model and the 'else' templates that follow them. The templates are replaced
+ * with comments, the shown branch is a copy of a template.
+ * @param {HTMLElement} targetElement - The target element of the model.
+ * @param {HTMLElement} rootElement - The element to search in.
+ * @return {Array} The structures: the placeholder comment, the templates and the parsed condition.
+ */
+function sf_model_find_structures(targetElement, rootElement) {
+    const structures = new Array();
+
+    sf_model_query(rootElement, '[if]').forEach(element => {
+        if(!rootElement.contains(element) || sf_model_is_nested_template(targetElement, element.parentElement)) {
+            return;
+        }
+
+        let condition;
+        try {
+            condition = sf_expression_parse_condition(element.getAttribute('if'));
+        } catch (error) {
+            console.error(error);
+            return;
+        }
+
+        const placeholder = document.createComment(`if ${element.getAttribute('if')}`);
+        const elseElement = element.nextElementSibling?.hasAttribute('else') ? element.nextElementSibling : null;
+
+        element.before(placeholder);
+        element.remove();
+        elseElement?.remove();
+
+        structures.push({ type: "structure", node: placeholder, template: element, elseTemplate: elseElement, condition: condition, state: null, element: null });
+    });
+
+    return structures;
+}
+
+/**
+ * Show the branch of an 'if' template that matches its condition: a copy of the 'if' or the 'else' template is inserted,
+ * bound to the model and its default components are loaded. The previous branch is removed together with its bindings,
+ * components and the disposers of its models.
+ * @param {HTMLElement} targetElement - The target element of the model.
+ * @param {object} structure - The structure of the 'if' template.
+ * @return {void}
+ */
+function sf_model_update_structure(targetElement, structure) {
+    let state;
+
+    try {
+        state = Boolean(sf_expression_render_template(structure.condition, targetElement.sf_model));
+    } catch (error) {
+        console.error(`Condition '${structure.condition.text}' failed`, error);
+        return;
+    }
+
+    if(state === structure.state) {
+        return;
+    }
+
+    structure.state = state;
+
+    if(structure.element) {
+        sf_model_unbind_element(targetElement, structure.element);
+        sf_model_remove_element(structure.element);
+        structure.element = null;
+    }
+
+    const template = state ? structure.template : structure.elseTemplate;
+
+    if(template) {
+        structure.element = template.cloneNode(true);
+        structure.element.removeAttribute('if');
+        structure.element.removeAttribute('else');
+        structure.node.after(structure.element);
+        sf_component_scope_rendered(structure.element);
+        sf_model_bind_element(targetElement, structure.element);
+        sf_component_track_navigation(structure.element);
+        sf_component_load_default(structure.element);
+    }
+}
+
+/**
+ * Find the 'multiplier' templates of the model: multiplier="{{comments}}" multiplies the template for the items
+ * of an array property of the model.
+ * @param {HTMLElement} targetElement - The target element of the model.
+ * @param {HTMLElement} rootElement - The element to search in.
+ * @return {Array} The multipliers: the template element and the parsed template of the array.
+ */
+function sf_model_find_multipliers(targetElement, rootElement) {
+    return sf_model_query(rootElement, '[multiplier]')
+        .filter(element => element !== targetElement && !sf_model_is_nested_template(targetElement, element.parentElement))
+        .map(element => {
+            try {
+                return { type: "multiplier", node: element, template: sf_expression_parse_template(element.getAttribute('multiplier')), array: null };
+            } catch (error) {
+                console.error(error);
+                return null;
+            }
+        })
+        .filter(multiplier => multiplier !== null);
+}
+
+/**
+ * Multiply the template of a 'multiplier' attribute for the current array, or update the copies if the array is the same.
+ * @param {HTMLElement} targetElement - The target element of the model.
+ * @param {object} multiplier - The multiplier.
+ * @return {void}
+ */
+function sf_model_update_nested_multiplier(targetElement, multiplier) {
+    let array;
+
+    try {
+        array = sf_expression_render_template(multiplier.template, targetElement.sf_model);
+    } catch (error) {
+        console.error(`Multiplier '${multiplier.template.text}' failed`, error);
+        return;
+    }
+
+    if(!Array.isArray(array)) {
+        sf_model_set_multiplier_reset(multiplier.node);
+        multiplier.node.style.display = 'none';
+        multiplier.array = null;
+    } else if(array === multiplier.array) {
+        sf_model_update_multiplier(multiplier.node);
+    } else {
+        multiplier.array = array;
+        sf_model_set_multiplier(multiplier.node, array, '');
+    }
+}
+
+/**
+ * Find the elements that match a selector: the root element and its descendants.
+ * @param {HTMLElement} rootElement - The root element.
+ * @param {string} selector - The selector.
+ * @return {HTMLElement[]} The elements.
+ */
+function sf_model_query(rootElement, selector) {
+    const elements = Array.from(rootElement.querySelectorAll(selector));
+    return rootElement.matches(selector) ? [rootElement].concat(elements) : elements;
+}
+
+/**
+ * Track properties of a model and update them when changed. Values that are properties already (props, or a model
+ * that is set again) are subscribed to. Getters of the model are computed properties, they are tracked after
+ * the other properties. The model gets the 'watch(key, handler)' method.
+ * @param {HTMLElement} targetElement - The target element to track properties for.
+ * @param {*} model - The model to track properties for.
+ * @return {void}
+ */
+function sf_model_track_properties(targetElement, model) {
+    const computedProperties = new Object();
+    const computedKeys = Object.keys(model).filter(key => Object.getOwnPropertyDescriptor(model, key).get);
+
+    Object.keys(model).filter(key => !computedKeys.includes(key)).forEach(
+        function(key) {
+            const value = model[key];
+            if(value?.sf_property) {
+                const unsubscribe = value.subscribe(() => sf_model_schedule_update(targetElement, key));
+                sf_model_add_disposer(targetElement, unsubscribe);
+            } else if(!(value instanceof Function)) {
+                model[key] = sf_property_set(value, function() {
+                    sf_model_schedule_update(targetElement, key);
+                }, sf_model_deep_reactivity_allowed);
+            }
+        }
+    );
+
+    computedKeys.forEach(key => {
+        computedProperties[key] = sf_model_track_computed(targetElement, model, key);
+    });
+
+    if(!Object.prototype.hasOwnProperty.call(model, "watch")) {
+        Object.defineProperty(model, "watch", {
+            configurable: true,
+            value: function(key, handler) {
+                const property = computedProperties[key] ?? model[key];
+
+                if(!property?.sf_property) {
+                    throw new Error(`'${key}' is not a property of the model`);
+                }
+
+                const unsubscribe = property.subscribe(handler.bind(model));
+                sf_model_add_disposer(targetElement, unsubscribe);
+                return unsubscribe;
+            }
+        });
+    }
+}
+
+/**
+ * Track a computed property: the getter of the model is called again when a property it has read changes,
+ * the bindings of the computed property are rendered then.
+ * @param {HTMLElement} targetElement - The target element of the model.
+ * @param {*} model - The model.
+ * @param {string} key - The key of the getter.
+ * @return {object} A property object with the computed value, for watchers.
+ */
+function sf_model_track_computed(targetElement, model, key) {
+    const getter = Object.getOwnPropertyDescriptor(model, key).get;
+    const computedProperty = sf_property_set(undefined, () => sf_model_schedule_update(targetElement, key));
+    let unsubscribers = new Array();
+
+    function sf_model_compute() {
+        unsubscribers.forEach(unsubscribe => unsubscribe());
+
+        const result = sf_property_track_dependencies(() => getter.call(model));
+        unsubscribers = Array.from(result.dependencies).map(property => property.subscribe(() => {
+            const value = sf_model_compute();
+
+            if(!Object.is(value, computedProperty._value)) {
+                computedProperty.set(value);
+            }
+        }));
+
+        return result.value;
+    }
+
+    computedProperty._value = sf_model_compute();
+    sf_model_add_disposer(targetElement, () => unsubscribers.forEach(unsubscribe => unsubscribe()));
+
+    return computedProperty;
+}
+
+/**
+ * Find the '{{ }}' templates in text nodes and attributes within the target element and its child nodes.
+ * @param {Node} targetElement - The target element to find properties within.
+ * @param {Array} [bindings] - The list the found bindings are added to.
+ * @return {Array} The bindings: the node, the attribute (null for text nodes) and the parsed template.
+ */
+function sf_model_find_properties(targetElement, bindings = new Array()) {
+    if(targetElement.nodeType === Node.TEXT_NODE) {
+        sf_model_add_binding(bindings, targetElement, null, targetElement.sf_template ?? targetElement.nodeValue);
+    }
+    
+    if(targetElement.attributes) {
+        Array.from(targetElement.attributes)
+            .filter(attribute => !['bind', 'command', 'validator'].includes(attribute.name))
+            .forEach(attribute => sf_model_add_binding(bindings, targetElement, attribute.name,
+                targetElement.sf_templates?.[attribute.name] ?? attribute.value));
+
+            if((targetElement.hasAttribute('visible') || targetElement.hasAttribute('invisible'))
+                && window.getComputedStyle(targetElement).getPropertyValue('display')) {
+                const displayValue = window.getComputedStyle(targetElement).getPropertyValue('display');
+                targetElement.setAttribute('sf-visibility-display', displayValue);
+            }
+    }
+
+    Array.from(targetElement.childNodes)
+        .filter(node => !(node instanceof Element && (node.hasAttribute('template') || node.hasAttribute('multiplier'))))
+        .filter(node => !(node.nodeName === 'SLOT' && node.hasAttribute('projected')))
+        .forEach(node => node.nodeName === 'COMPONENT'
+            ? sf_model_find_component_properties(node, bindings)
+            : sf_model_find_properties(node, bindings));
+
+    return bindings;
+}
+
+/**
+ * Find the templates of a child component: its prop attributes and the nodes passed into its slots.
+ * @param {HTMLElement} componentElement - The child component element.
+ * @param {Array} bindings - The list the found bindings are added to.
+ * @return {void}
+ */
+function sf_model_find_component_properties(componentElement, bindings) {
+    Array.from(componentElement.attributes)
+        .filter(attribute => attribute.name.startsWith('prop-'))
+        .forEach(attribute => sf_model_add_binding(bindings, componentElement, attribute.name,
+            componentElement.sf_templates?.[attribute.name] ?? attribute.value));
+
+    sf_component_get_slot_nodes(componentElement).forEach(node => sf_model_find_properties(node, bindings));
+}
+
+/**
+ * Parse a template and add it to the bindings. The template text is kept on the node, so it can be found again after rendering.
+ * @param {Array} bindings - The list of bindings.
+ * @param {Node} node - The text node or the element of the attribute.
+ * @param {string|null} attributeName - The name of the attribute, null for text nodes.
+ * @param {string} text - The template text.
+ * @return {void}
+ */
+function sf_model_add_binding(bindings, node, attributeName, text) {
+    if(!text.includes('{{') || !text.includes('}}')) {
+        return;
+    }
+
+    try {
+        const template = attributeName === 'condition' ? sf_expression_parse_condition(text) : sf_expression_parse_template(text);
+        bindings.push({ type: "binding", node: node, attribute: attributeName, template: template });
+    } catch (error) {
+        console.error(error);
+        return;
+    }
+
+    if(attributeName) {
+        node.sf_templates = node.sf_templates ?? new Object();
+        node.sf_templates[attributeName] = text;
+    } else {
+        node.sf_template = text;
+    }
+}
+
+/**
+ * Schedule the update of a model property: changes are collected and the page is updated once per microtask
+ * (or animation frame, see sf_model_update_mode) however many properties have changed.
+ * @param {HTMLElement} targetElement - The target element of the model.
+ * @param {string} bindableKey - The key of the changed property.
+ * @return {void}
+ */
+function sf_model_schedule_update(targetElement, bindableKey) {
+    if(!sf_model_pending_updates.has(targetElement)) {
+        sf_model_pending_updates.set(targetElement, new Set());
+    }
+
+    sf_model_pending_updates.get(targetElement).add(bindableKey);
+    sf_model_schedule_flush();
+}
+
+/**
+ * Schedule a call of sf_flush if it is not scheduled yet.
+ * @return {void}
+ */
+function sf_model_schedule_flush() {
+    if(sf_model_flush_scheduled) {
+        return;
+    }
+
+    sf_model_flush_scheduled = true;
+
+    if(sf_model_update_mode === "frame" && typeof requestAnimationFrame === "function") {
+        requestAnimationFrame(() => sf_flush());
+    } else {
+        queueMicrotask(() => sf_flush());
+    }
+}
+
+/**
+ * Apply the scheduled updates of the models to the page now. Updates scheduled while flushing are applied too.
+ * @return {void}
+ */
+function sf_flush() {
+    let iterations = 0;
+
+    sf_model_flush_scheduled = false;
+
+    while(sf_model_pending_updates.size > 0) {
+        if(++iterations > SF_MODEL_FLUSH_LIMIT) {
+            console.error(`Model updates do not settle after ${SF_MODEL_FLUSH_LIMIT} iterations, pending updates are dropped`);
+            sf_model_pending_updates.clear();
+            break;
+        }
+
+        const updates = Array.from(sf_model_pending_updates);
+        sf_model_pending_updates.clear();
+
+        updates.forEach(([targetElement, keys]) => {
+            const entries = new Set();
+            keys.forEach(key => targetElement.sf_index?.get(key)?.forEach(entry => entries.add(entry)));
+            sf_model_update_entries(targetElement, entries);
+        });
+    }
+
+    sf_model_flush_callbacks.splice(0).forEach(callback => callback());
+}
+
+/**
+ * Wait until the scheduled updates are applied to the page.
+ * @param {Function} [callback] - The function to call after the updates.
+ * @return {Promise} A promise that resolves with the result of the callback after the updates.
+ */
+function sf_next_tick(callback) {
+    return new Promise(resolve => {
+        sf_model_flush_callbacks.push(resolve);
+        sf_model_schedule_flush();
+    }).then(callback);
+}
+
+/**
+ * Render entries of the index of the target element. Entries of a removed 'if' branch are skipped, a failing entry
+ * is reported in the console and the other entries are rendered.
+ * @param {HTMLElement} targetElement - The target element of the model.
+ * @param {Set} entries - The entries to render.
+ * @return {void}
+ */
+function sf_model_update_entries(targetElement, entries) {
+    Array.from(entries).forEach(entry => {
+        if(entry.removed) {
+            return;
+        }
+
+        try {
+            if(entry.type === "binding") {
+                sf_model_render_binding(entry, targetElement.sf_model);
+            } else if(entry.type === "control") {
+                sf_model_write_control(entry.node, sf_model_get_path(targetElement.sf_model, entry.path));
+            } else if(entry.type === "multiplier") {
+                sf_model_update_nested_multiplier(targetElement, entry);
+            } else if(entry.type === "structure") {
+                sf_model_update_structure(targetElement, entry);
+            } else if(entry.type === "validation") {
+                sf_validation_validate(targetElement, entry);
+            }
+        } catch (error) {
+            console.error(`Update of the template '${targetElement.getAttribute('template')}' failed`, error);
+        }
+    });
+}
+
+/**
+ * Render a binding: all placeholders of its text node or attribute are evaluated against the model,
+ * placeholders of unknown names are kept as they are.
+ * @param {object} binding - The binding to render.
+ * @param {*} model - The model of the binding.
+ * @return {void}
+ */
+function sf_model_render_binding(binding, model) {
+    let value;
+
+    try {
+        value = sf_expression_render_template(binding.template, model, true);
+    } catch (error) {
+        console.error(`Template '${binding.template.text}' failed`, error);
+        return;
+    }
+
+    const element = binding.node;
+    const targetAttribute = binding.attribute;
+
+    if(!targetAttribute) {
+        element.nodeValue = sf_expression_to_string(value);
+        return;
+    }
+
+    if(element.tagName === 'COMPONENT') {
+        sf_component_set_prop(element, targetAttribute, value);
+        return;
+    }
+
+    const newValue = sf_expression_to_string(value);
+    element.setAttribute(targetAttribute, newValue);
+
+    if(targetAttribute === 'value') {
+        element.value = newValue;
+    }
+
+    if(targetAttribute === 'visible') {
+        sf_model_update_visibility(element, value);
+    }
+
+    if(targetAttribute === 'invisible') {
+        sf_model_update_visibility(element, !value);
+    }
+
+    if(targetAttribute === 'condition') {
+        sf_model_update_visibility(element, value);
+    }
+
+    if(targetAttribute === 'canexecute' && element.hasAttribute('command')) {
+        element.sf_command_can_execute = Boolean(value);
+        sf_model_update_command_state(element);
+    }
+}
+
+/**
+ * Updates the visibility of an element on the page.
+ * @param {HTMLElement} targetElement - The element whose visibility needs to be updated
+ * @param {string} value - The value that determines whether the element should be visible or not
+ * @return {void}
+ */
+function sf_model_update_visibility(targetElement, value) {
+    if (targetElement.hasAttribute("transparent")) {
+        targetElement.style.visibility = value ? "visible" : "hidden";
+    } else {
+        targetElement.style.display = value
+            ? (targetElement.getAttribute('sf-visibility-display') ?? 'block')
+            : 'none';
+    }
+}
+
+/**
+ * Track commands of a model and set event listeners for them within the target element.
+ * @param {HTMLElement} targetElement - The target element to track commands within.
+ * @param {*} model - The model to track commands for.
+ * @param {HTMLElement} [modelElement] - The target element of the model, commands of its nested templates are skipped.
+ * @return {void}
+ */
+function sf_model_track_commands(targetElement, model, modelElement = targetElement) {
+    Object.keys(model).forEach(key => {
+        const value = model[key];
+        if (value instanceof Function) {
+            const commandElements = sf_model_query(targetElement, `[command="{{${key}}}"]`)
+                .filter(commandElement => !sf_model_is_nested_template(modelElement, commandElement));
+            commandElements.forEach(commandElement => {
+                sf_model_set_command_listener(commandElement, modelElement, key);
+            });
+        }
+    });
+}
+
+/**
+ * Set an event listener for a command on the target element (for another event set 'commandEvent' attribute, default: click).
+ * Modifiers follow the event name: commandEvent="keydown.enter.prevent", "input.debounce.300", "click.once".
+ * The command gets the element, the event name and the native event; while a returned promise is pending
+ * the element is busy and disabled.
+ * The command is the function of the current model of the model element.
+ * @param {HTMLElement} targetElement - The target element to set the event listener on.
+ * @param {HTMLElement} modelElement - The target element of the model.
+ * @param {string} key - The key of the command function in the model.
+ * @return {void}
+ */
+function sf_model_set_command_listener(targetElement, modelElement, key) {
+    const [listenerEvent, ...modifiers] = (targetElement.getAttribute("commandEvent") ?? "click").split(".");
+    const options = sf_model_parse_command_modifiers(modifiers);
+    let timer = null;
+    let lastTime = 0;
+
+    function sf_model_execute(commandArgs) {
+        const model = modelElement.sf_model;
+
+        if(model[key] instanceof Function && sf_model_execute_command(targetElement, model, model[key], commandArgs) && options.once) {
+            targetElement.removeEventListener(listenerEvent, sf_model_command_listener, false);
+        }
+    }
+
+    function sf_model_command_listener(event) {
+        if(!sf_model_check_command_event(targetElement, event, options)) {
+            return;
+        }
+
+        if(options.prevent) {
+            event.preventDefault();
+        }
+
+        if(options.stop) {
+            event.stopPropagation();
+        }
+
+        const commandArgs = { element: targetElement, commandEvent: listenerEvent, event: event };
+
+        if(options.debounce > 0) {
+            clearTimeout(timer);
+            timer = setTimeout(() => sf_model_execute(commandArgs), options.debounce);
+        } else if(options.throttle > 0) {
+            if(Date.now() - lastTime >= options.throttle) {
+                lastTime = Date.now();
+                sf_model_execute(commandArgs);
+            }
+        } else {
+            sf_model_execute(commandArgs);
+        }
+    }
+
+    targetElement.addEventListener(listenerEvent, sf_model_command_listener, false);
+
+    if(options.debounce > 0) {
+        sf_model_add_disposer(modelElement, () => clearTimeout(timer));
+    }
+}
+
+/**
+ * Parse the modifiers of the 'commandEvent' attribute: 'prevent', 'stop', 'self', 'once', 'debounce' and 'throttle'
+ * (followed by the delay in milliseconds, default 250), 'ctrl', 'alt', 'shift', 'meta' and keys ('enter', 'esc', 'a', ...).
+ * @param {string[]} modifiers - The modifiers.
+ * @return {object} The options of the command listener.
+ */
+function sf_model_parse_command_modifiers(modifiers) {
+    const options = { prevent: false, stop: false, self: false, once: false, debounce: 0, throttle: 0, keys: new Array(), systemKeys: new Array() };
+
+    modifiers.forEach((modifier, index) => {
+        if(/^\d+$/.test(modifier)) {
+            return;
+        }
+
+        if(modifier === "debounce" || modifier === "throttle") {
+            const delay = modifiers[index + 1];
+            options[modifier] = /^\d+$/.test(delay ?? "") ? Number(delay) : 250;
+        } else if(["prevent", "stop", "self", "once"].includes(modifier)) {
+            options[modifier] = true;
+        } else if(SF_COMMAND_SYSTEM_KEYS.includes(modifier)) {
+            options.systemKeys.push(modifier);
+        } else {
+            options.keys.push((SF_COMMAND_KEY_ALIASES[modifier.toLowerCase()] ?? modifier).toLowerCase());
+        }
+    });
+
+    return options;
+}
+
+/**
+ * Check if an event matches the modifiers of a command: its target for 'self', its key and its system keys.
+ * @param {HTMLElement} targetElement - The command element.
+ * @param {Event} event - The event.
+ * @param {object} options - The options of the command listener.
+ * @return {boolean} Whether the command should be executed.
+ */
+function sf_model_check_command_event(targetElement, event, options) {
+    if(options.self && event.target !== targetElement) {
+        return false;
+    }
+
+    if(options.keys.length > 0 && !options.keys.includes(event.key?.toLowerCase())) {
+        return false;
+    }
+
+    return options.systemKeys.every(key => event[`${key}Key`]);
+}
+
+/**
+ * Execute a command unless its element is disabled by the 'disabled' attribute, 'canExecute', validation or a pending call.
+ * A command that returns a promise marks its element with the 'busy' attribute until the promise is settled.
+ * Errors of the command are reported in the console.
+ * @param {HTMLElement} targetElement - The command element.
+ * @param {*} model - The model of the command.
+ * @param {function} callbackFunction - The command function.
+ * @param {object} commandArgs - The argument of the command: the element, the event name and the native event.
+ * @return {boolean} Whether the command was executed.
+ */
+function sf_model_execute_command(targetElement, model, callbackFunction, commandArgs) {
+    if(sf_model_is_command_disabled(targetElement)) {
+        return false;
+    }
+
+    let result;
+
+    try {
+        result = callbackFunction.call(model, commandArgs);
+    } catch (error) {
+        console.error(`Command '${targetElement.getAttribute("command")}' failed`, error);
+        return true;
+    }
+
+    if(!(result instanceof Promise)) {
+        return true;
+    }
+
+    targetElement.sf_command_busy = true;
+    targetElement.setAttribute("busy", "");
+    sf_model_update_command_state(targetElement);
+
+    result
+        .catch(error => console.error(`Command '${targetElement.getAttribute("command")}' failed`, error))
+        .finally(() => {
+            targetElement.sf_command_busy = false;
+            targetElement.removeAttribute("busy");
+            sf_model_update_command_state(targetElement);
+        });
+
+    return true;
+}
+
+/**
+ * Check if a command element is disabled: it has the 'disabled' attribute in the markup, a command is pending,
+ * 'canExecute' is false or the model is invalid.
+ * @param {HTMLElement} targetElement - The command element.
+ * @return {boolean} Whether the command is disabled.
+ */
+function sf_model_is_command_disabled(targetElement) {
+    if(targetElement.sf_command_disabled_attribute === undefined) {
+        targetElement.sf_command_disabled_attribute = targetElement.hasAttribute("disabled");
+    }
+
+    return targetElement.sf_command_disabled_attribute
+        || targetElement.sf_command_busy === true
+        || targetElement.sf_command_can_execute === false
+        || sf_validation_is_command_blocked(targetElement);
+}
+
+/**
+ * Set the 'disabled' attribute of a command element by its state.
+ * @param {HTMLElement} targetElement - The command element.
+ * @return {void}
+ */
+function sf_model_update_command_state(targetElement) {
+    targetElement.toggleAttribute("disabled", sf_model_is_command_disabled(targetElement));
+}
+
+/**
+ * Track bindings of a model and set event listeners for them within the target element.
+ * Bound form controls show the value of the property and write changes back to it.
+ * A binding can be a path into an object property: bind="{{user.name}}".
+ * @param {HTMLElement} targetElement - The target element to track bindings within.
+ * @param {*} model - The model to track bindings for.
+ * @return {void}
+*/
+function sf_model_track_bindings(targetElement, model, rootElement = targetElement) {
+    sf_model_query(rootElement, '[bind]').forEach(bindingElement => {
+        const match = /^{{\s*([\w$]+(?:\.[\w$]+)*)\s*}}$/.exec(bindingElement.getAttribute('bind'));
+        const path = match?.[1];
+        const key = path?.split('.')[0];
+
+        if(!path || !model[key]?.sf_property || sf_model_is_nested_template(targetElement, bindingElement)) {
+            return;
+        }
+
+        sf_model_index_add(targetElement, [key], { type: "control", node: bindingElement, path: path });
+        sf_model_write_control(bindingElement, sf_model_get_path(model, path));
+        sf_model_set_binding_listener(bindingElement, targetElement, path);
+        sf_validation_track(targetElement, bindingElement, key, path);
+    });
+}
+
+/**
+ * Check if an element belongs to a nested template or multiplier of the target element, which has its own model.
+ * @param {HTMLElement} targetElement - The target element of the model.
+ * @param {HTMLElement} element - The element inside the target element.
+ * @return {boolean} Whether the element is inside a nested template.
+ */
+function sf_model_is_nested_template(targetElement, element) {
+    const templateElement = element.closest('[template], [multiplier]');
+    return templateElement !== null && templateElement !== targetElement && targetElement.contains(templateElement);
+}
+
+/**
+ * Get a value of the model by a path: 'name' or 'user.address.city'.
+ * @param {*} model - The model.
+ * @param {string} path - The path, the first part is the key of the model property.
+ * @return {*} The value or undefined.
+ */
+function sf_model_get_path(model, path) {
+    const keys = path.split('.');
+    return keys.slice(1).reduce((value, key) => value?.[key], sf_expression_get_value(model, keys[0]));
+}
+
+/**
+ * Set a value of the model by a path. Properties without deep reactivity are raised after a nested value is set.
+ * @param {*} model - The model.
+ * @param {string} path - The path, the first part is the key of the model property.
+ * @param {*} value - The new value.
+ * @return {void}
+ */
+function sf_model_set_path(model, path, value) {
+    const keys = path.split('.');
+    const property = model[keys[0]];
+
+    if(keys.length === 1) {
+        property.set(value);
+        return;
+    }
+
+    const parent = keys.slice(1, -1).reduce((object, key) => object?.[key], property.get());
+
+    if(parent !== null && parent !== undefined) {
+        parent[keys[keys.length - 1]] = value;
+
+        if(!property._deep) {
+            property.raise();
+        }
+    }
+}
+
+/**
+ * Set an event listener for a binding on the target element (for another event set 'bindEvent' attribute,
+ * default: 'change', 'input' for contenteditable elements).
+ * @param {HTMLElement} targetElement - The target element to set the event listener on.
+ * @param {HTMLElement} modelElement - The target element of the model, its current model is updated when the event is triggered.
+ * @param {string} path - The path of the model value to update when the event is triggered.
+ * @return {void}
+ */
+function sf_model_set_binding_listener(targetElement, modelElement, path) {
+    targetElement.addEventListener(sf_model_get_binding_event(targetElement), function () {
+        const model = modelElement.sf_model;
+        let value;
+
+        try {
+            value = sf_model_read_control(targetElement, sf_model_get_path(model, path));
+        } catch (error) {
+            console.error(`Value of the control bound to '${path}' is invalid`, error);
+            return;
+        }
+
+        sf_model_set_path(model, path, value);
+    }, false);
+}
+
+/**
+ * Get the event that writes the value of a bound form control to the model: the 'bindEvent' attribute,
+ * 'input' for contenteditable elements or 'change'.
+ * @param {HTMLElement} targetElement - The form control.
+ * @return {string} The name of the event.
+ */
+function sf_model_get_binding_event(targetElement) {
+    return targetElement.getAttribute("bindEvent") ?? (sf_model_is_editable(targetElement) ? "input" : "change");
+}
+
+/**
+ * Read the value of a bound form control. The value is converted to the type of the 'bindType' attribute:
+ * 'string', 'number', 'boolean', 'date' or 'json'. Number and range inputs are numbers by default.
+ * Checkboxes are booleans, or toggle their value in an array if the property is an array.
+ * Multiple selects return an array of the selected values.
+ * @param {HTMLElement} targetElement - The form control.
+ * @param {*} currentValue - The current value of the property.
+ * @return {*} The new value of the property.
+ */
+function sf_model_read_control(targetElement, currentValue) {
+    const bindType = targetElement.getAttribute("bindType")
+        ?? (targetElement.type === "number" || targetElement.type === "range" ? "number" : null);
+
+    if(targetElement.type === "checkbox") {
+        if(!Array.isArray(currentValue)) {
+            return bindType ? sf_convert_value(targetElement.checked, bindType) : targetElement.checked;
+        }
+
+        const values = currentValue.filter(item => sf_expression_to_string(item) !== targetElement.value);
+        return targetElement.checked ? values.concat([sf_convert_value(targetElement.value, bindType)]) : values;
+    }
+
+    if(targetElement.tagName === "SELECT" && targetElement.multiple) {
+        return Array.from(targetElement.selectedOptions).map(option => sf_convert_value(option.value, bindType));
+    }
+
+    if(sf_model_is_editable(targetElement)) {
+        return sf_convert_value(targetElement.textContent, bindType);
+    }
+
+    return sf_convert_value(targetElement.value, bindType);
+}
+
+/**
+ * Show a property value in a bound form control: 'checked' of checkboxes and radios, selected options of multiple selects,
+ * the text of contenteditable elements and the value of other controls. Values of 'json' controls are shown as JSON.
+ * @param {HTMLElement} targetElement - The form control.
+ * @param {*} value - The value of the property.
+ * @return {void}
+ */
+function sf_model_write_control(targetElement, value) {
+    if(targetElement.type === "checkbox") {
+        targetElement.checked = Array.isArray(value)
+            ? value.map(sf_expression_to_string).includes(targetElement.value)
+            : Boolean(value);
+        return;
+    }
+
+    if(targetElement.type === "radio") {
+        targetElement.checked = sf_expression_to_string(value) === targetElement.value;
+        return;
+    }
+
+    if(targetElement.tagName === "SELECT" && targetElement.multiple) {
+        const values = Array.from(value ?? new Array()).map(sf_expression_to_string);
+        Array.from(targetElement.options).forEach(option => option.selected = values.includes(option.value));
+        return;
+    }
+
+    let text;
+
+    if(targetElement.getAttribute("bindType") === "json") {
+        text = value === undefined ? "" : JSON.stringify(value);
+    } else {
+        text = value instanceof Date ? sf_model_format_date(value, targetElement.type) : sf_expression_to_string(value);
+    }
+
+    if(sf_model_is_editable(targetElement)) {
+        if(targetElement.textContent !== text) {
+            targetElement.textContent = text;
+        }
+    } else if(targetElement.value !== text) {
+        targetElement.value = text;
+    }
+}
+
+/**
+ * Check if an element is editable by the 'contenteditable' attribute.
+ * @param {HTMLElement} targetElement - The element.
+ * @return {boolean} Whether the element is contenteditable.
+ */
+function sf_model_is_editable(targetElement) {
+    return targetElement.hasAttribute("contenteditable") && targetElement.getAttribute("contenteditable") !== "false";
+}
+
+/**
+ * Format a date for the value of a date input: 'yyyy-mm-dd', or 'yyyy-mm-ddThh:mm' for 'datetime-local' inputs.
+ * @param {Date} date - The date.
+ * @param {string} inputType - The type of the input.
+ * @return {string} The formatted date, an empty string for invalid dates.
+ */
+function sf_model_format_date(date, inputType) {
+    if(isNaN(date.getTime())) {
+        return "";
+    }
+
+    if(inputType === "datetime-local") {
+        return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+    }
+
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Creates multiple copies of any template from an array of models. Copies are matched to the items by the 'key' attribute
+ * of the template (an expression evaluated against the item model, e.g. key="id") or by the model objects, so changes
+ * of the array keep the elements (and their focus and input state) of the remaining items.
+ * Mutation methods of the array update the copies, the returned proxy of the array updates them on index assignment too.
+ * @param {HTMLElement} templateElement - The template element to set the multiplier for.
+ * @param {Array} targetArray - The target array of model-object to set as a multiplier.
+ * @param {string} [display='block'] - The display style to apply to multiplied elements.
+ * @return {Proxy} The proxy of the target array.
+ */
+function sf_model_set_multiplier(templateElement, targetArray, display = 'block') {
+    templateElement.style.display = 'none';
+
+    sf_model_set_multiplier_reset(templateElement);
+
+    templateElement.sf_multiplier = { array: targetArray, display: display, items: new Map() };
+
+    if(!targetArray.sf_templates) {
+        Object.defineProperty(targetArray, "sf_templates", { configurable: true, value: new Set() });
+    }
+    targetArray.sf_templates.add(templateElement);
+
+    function sf_model_update_multipliers() {
+        targetArray.sf_templates.forEach(element => {
+            if(element.isConnected && element.sf_multiplier?.array === targetArray) {
+                sf_model_update_multiplier(element);
+            } else {
+                targetArray.sf_templates.delete(element);
+            }
+        });
+    }
+
+    function sf_model_define_function(name, callback) {
+        Object.defineProperty(targetArray, name, { configurable: true, writable: true, value: callback });
+    }
+
+    ["push", "pop", "shift", "unshift", "splice", "sort", "reverse", "fill", "copyWithin"].forEach(method => {
+        sf_model_define_function(method, function(...args) {
+            const result = Array.prototype[method].apply(targetArray, args);
+            sf_model_update_multipliers();
+            return result;
+        });
+    });
+
+    sf_model_define_function("synchronize", sf_model_update_multipliers);
+    sf_model_define_function("values", () => targetArray.slice());
+
+    sf_model_update_multiplier(templateElement);
+
+    return new Proxy(targetArray, {
+        set(target, key, value) {
+            const result = Reflect.set(target, key, value);
+            sf_model_update_multipliers();
+            return result;
         },
-        raise: function() {
-            if(this._raiseCallback) {
-                this._raiseCallback(this._value);
+        deleteProperty(target, key) {
+            const result = Reflect.deleteProperty(target, key);
+            sf_model_update_multipliers();
+            return result;
+        }
+    });
+}
+
+/**
+ * Update the copies of a multiplier template to the items of its array: copies of removed items are removed,
+ * new items get new copies and the copies are reordered with the least number of moves.
+ * A copy whose key matches a new model is kept and rebound to the model.
+ * @param {HTMLElement} templateElement - The template element of the multiplier.
+ * @return {void}
+ */
+function sf_model_update_multiplier(templateElement) {
+    const multiplier = templateElement.sf_multiplier;
+    const keyExpression = templateElement.getAttribute('key');
+    const oldItems = multiplier.items;
+    const oldOrder = new Map(Array.from(oldItems.values()).map((item, index) => [item, index]));
+    const newItems = new Map();
+    const list = new Array();
+
+    Array.from(multiplier.array).forEach(model => {
+        let key = keyExpression ? sf_expression_evaluate(sf_expression_parse(keyExpression), model) : model;
+
+        if(newItems.has(key)) {
+            console.error(keyExpression
+                ? `Multiplier of the template '${templateElement.getAttribute('template')}' contains the key '${key}' twice, the item is skipped`
+                : `Multiplier of the template '${templateElement.getAttribute('template')}' contains the same item twice, it is shown once`);
+            return;
+        }
+
+        let item = oldItems.get(key);
+
+        if(item) {
+            oldItems.delete(key);
+            item.rebound = item.model !== model;
+            item.model = model;
+        } else {
+            item = { model: model, element: sf_model_set_multiplier_template_clone(templateElement, multiplier.display), created: true, rebound: false };
+        }
+
+        newItems.set(key, item);
+        list.push(item);
+    });
+
+    oldItems.forEach(item => sf_model_remove_element(item.element));
+
+    const keptItems = Array.from(oldOrder.keys()).filter(item => list.includes(item));
+    const endElement = keptItems.length > 0 ? keptItems[keptItems.length - 1].element : templateElement;
+    const stableIndexes = sf_model_get_stable_indexes(list.map(item => oldOrder.get(item) ?? -1));
+    let nextElement = null;
+
+    for (let index = list.length - 1; index >= 0; index--) {
+        const element = list[index].element;
+
+        if(!stableIndexes.has(index)) {
+            if(nextElement) {
+                nextElement.before(element);
+            } else if(element !== endElement) {
+                endElement.after(element);
             }
         }
-      };
+
+        nextElement = element;
+    }
+
+    list.forEach((item, index) => item.element.setAttribute('sf-template-index', index));
+    multiplier.items = newItems;
+
+    list.filter(item => item.created || item.rebound).forEach(item => {
+        if(item.created) {
+            sf_component_scope_rendered(item.element);
+        }
+
+        item.created = false;
+        item.rebound = false;
+        sf_model_set_multiplier_model(item.element, item.model);
+
+        if(sf_model_multiplier_default_functions_allowed) {
+            sf_model_set_multiplier_default_functions(item.model, multiplier.array);
+        }
+    });
+}
+
+/**
+ * Find the indexes of the longest increasing subsequence of old positions, these copies keep their place.
+ * @param {number[]} positions - The old positions of the items in the new order, -1 for new items.
+ * @return {Set<number>} The indexes of the items that are not moved.
+ */
+function sf_model_get_stable_indexes(positions) {
+    const tails = new Array();
+    const tailIndexes = new Array();
+    const previous = new Array(positions.length);
+
+    positions.forEach((position, index) => {
+        if(position < 0) {
+            return;
+        }
+
+        let low = 0;
+        let high = tails.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if(tails[middle] < position) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+
+        previous[index] = low > 0 ? tailIndexes[low - 1] : -1;
+        tails[low] = position;
+        tailIndexes[low] = index;
+    });
+
+    const stableIndexes = new Set();
+    for (let index = tailIndexes[tails.length - 1] ?? -1; index >= 0; index = previous[index]) {
+        stableIndexes.add(index);
+    }
+
+    return stableIndexes;
+}
+
+/**
+ * Set the default functions of a multiplied model: 'unset()' removes the item from the array,
+ * 'getIndex()' returns its current index and 'getArray()' the array.
+ * @param {*} model - The item model.
+ * @param {Array} targetArray - The array of the multiplier.
+ * @return {void}
+ */
+function sf_model_set_multiplier_default_functions(model, targetArray) {
+    model.unset = function() {
+        const index = targetArray.indexOf(model);
+        if(index !== -1) {
+            targetArray.splice(index, 1);
+        }
+    }
+
+    model.getIndex = function() {
+        return targetArray.indexOf(model);
+    }
+
+    model.getArray = function() {
+        return targetArray;
+    }
+}
+
+/**
+ * Set a model for a multiplier template element.
+ * @param {HTMLElement} templateElement - The template element to set the model for.
+ * @param {*} model - The model to set for the template element.
+ * @return {void}
+ */
+function sf_model_set_multiplier_model(templateElement, model) {
+    sf_model_set(templateElement, model);
+    templateElement.model = model;
+}
+
+/**
+ * Clone a multiplier template element and set its display style, the clone is placed by the multiplier update.
+ * @param {HTMLElement} templateElement - The template element to clone.
+ * @param {string} display - The display style to apply to the cloned element.
+ * @return {HTMLElement} The cloned template element.
+ */
+function sf_model_set_multiplier_template_clone(templateElement, display) {
+    const newElement = templateElement.cloneNode(true);
+    newElement.style.display = display;
+    newElement.removeAttribute('key');
+    newElement.removeAttribute('multiplier');
+    const newName = `${newElement.getAttribute('template') ?? 'multiplier'}-${sf_random_string()}`;
+    newElement.setAttribute('template', newName);
+    return newElement;
+}
+
+/**
+ * Reset a multiplier by removing all cloned elements.
+ * @param {HTMLElement} targetElement - The target element to reset the multiplier for.
+ * @return {void}
+ */
+function sf_model_set_multiplier_reset(targetElement) {
+    if(targetElement.sf_multiplier) {
+        targetElement.sf_multiplier.items.forEach(item => sf_model_remove_element(item.element));
+        targetElement.sf_multiplier.array.sf_templates?.delete(targetElement);
+        targetElement.sf_multiplier = null;
+    }
 }
 
 
 /*
-    DEPARTMENT -> MODEL MECHANICS
+    DEPARTMENT -> VALIDATION
 */
 
 /**
- * Set a model-object for the target element and track its properties, commands, bindings.
- * @param {HTMLElement} targetElement - The target element to set the model for.
- * @param {*} model - The model to set for the target element.
+ * Track the validation rules of a bound form control: 'required', 'min', 'max', 'minlength', 'maxlength', 'pattern'
+ * and validator="{{checkName}}" (a function of the model). Controls bound to the same path share one validation state.
+ * @param {HTMLElement} targetElement - The target element of the model.
+ * @param {HTMLElement} bindingElement - The bound form control.
+ * @param {string} key - The key of the model property.
+ * @param {string} path - The bound path.
  * @return {void}
  */
-function sf_model_set(targetElement, model) { //add onModelUnset?
-    sf_model_find_properties(targetElement);
-    sf_model_track_properties(targetElement, model);
-    sf_model_track_commands(targetElement, model);
-    sf_model_track_bindings(targetElement, model);
+function sf_validation_track(targetElement, bindingElement, key, path) {
+    if(!SF_VALIDATION_RULES.some(rule => bindingElement.hasAttribute(rule))) {
+        return;
+    }
 
-    if(model.construct) {
-        model.construct.bind(model)
-        model.construct(targetElement);
+    let validation = targetElement.sf_validations.get(path);
+
+    if(!validation) {
+        validation = { type: "validation", node: bindingElement, key: key, path: path, elements: new Array(),
+            valid: true, error: null, validating: false, touched: false, message: null, version: 0 };
+
+        targetElement.sf_validations.set(path, validation);
+        sf_model_index_add(targetElement, [key], validation);
+
+        if(path === key) {
+            Object.defineProperty(targetElement.sf_model[key], "validation", { configurable: true, value: validation });
+        }
     }
+
+    validation.elements.push(bindingElement);
+
+    bindingElement.addEventListener(sf_model_get_binding_event(bindingElement), function() {
+        validation.touched = true;
+        sf_model_schedule_update(targetElement, key);
+    }, false);
+
+    sf_validation_validate(targetElement, validation);
 }
 
 /**
- * Track properties of a model and update them when changed.
- * @param {HTMLElement} targetElement - The target element to track properties for.
- * @param {*} model - The model to track properties for.
+ * Remove the validation states of the form controls inside an element that is removed.
+ * @param {HTMLElement} targetElement - The target element of the model.
+ * @param {HTMLElement} rootElement - The element that is removed.
  * @return {void}
  */
-function sf_model_track_properties(targetElement, model) {
-    Object.keys(model).forEach(
-        function(key) {
-            const value = model[key];
-            if(!(value instanceof Function)) {
-                model[key] = sf_property_set(value, function(value) {
-                    sf_model_update_property(targetElement, key, value);
-                });
-                model[key].raise();
-            }
+function sf_validation_unbind_element(targetElement, rootElement) {
+    targetElement.sf_validations.forEach((validation, path) => {
+        validation.elements = validation.elements.filter(element => !rootElement.contains(element));
+
+        if(validation.elements.length > 0) {
+            validation.node = validation.elements[0];
+            return;
         }
-    );
+
+        targetElement.sf_validations.delete(path);
+        if(targetElement.sf_model[validation.key]?.validation === validation) {
+            delete targetElement.sf_model[validation.key].validation;
+        }
+    });
+
+    sf_validation_update_commands(targetElement);
 }
 
 /**
- * Find and mark properties within the target element and its child nodes.
- * @param {Node} targetElement - The target element to find properties within.
- * @return {void}
+ * Validate the value of a path by the rules of its form controls. The first failed rule sets the error,
+ * validators that return a promise make the state 'validating' until they are resolved.
+ * The error is shown only after the control was changed or the model was validated with 'validate()'.
+ * @param {HTMLElement} targetElement - The target element of the model.
+ * @param {object} validation - The validation state.
+ * @return {Promise} A promise that resolves with the validity when the validation is complete.
  */
-function sf_model_find_properties(targetElement) {
-    if(targetElement.nodeType === Node.TEXT_NODE && targetElement.nodeValue.includes('{{') && targetElement.nodeValue.includes('}}')) {
-        targetElement.parentElement.setAttribute('sf-model-content-template', targetElement.nodeValue);
+function sf_validation_validate(targetElement, validation) {
+    const model = targetElement.sf_model;
+    const value = sf_model_get_path(model, validation.path);
+    const version = ++validation.version;
+    let result = null;
+
+    try {
+        result = validation.elements.reduce((error, element) => error ?? sf_validation_check_element(model, element, value), null);
+    } catch (error) {
+        result = error.message;
+    }
+
+    if(!(result instanceof Promise)) {
+        sf_validation_set_state(targetElement, validation, result, false);
+        return Promise.resolve(validation.valid);
+    }
+
+    sf_validation_set_state(targetElement, validation, null, true);
+
+    return result
+        .catch(error => error.message)
+        .then(message => {
+            if(version === validation.version) {
+                sf_validation_set_state(targetElement, validation, message, false);
+            }
+
+            return validation.valid;
+        });
+}
+
+/**
+ * Check the value of a form control by its rules.
+ * @param {*} model - The model.
+ * @param {HTMLElement} element - The form control.
+ * @param {*} value - The value of the bound path.
+ * @return {string|Promise|null} The error message, a promise of the validator or null if the value is valid.
+ */
+function sf_validation_check_element(model, element, value) {
+    const empty = value === null || value === undefined || value === "" || value === false
+        || (Array.isArray(value) && value.length === 0);
+
+    if(empty) {
+        return element.hasAttribute("required") ? sf_validation_get_message(element, "required") : null;
+    }
+
+    const limits = { min: element.getAttribute("min"), max: element.getAttribute("max") };
+
+    if(limits.min !== null && sf_validation_compare(value, limits.min) < 0) {
+        return sf_validation_get_message(element, "min");
+    }
+
+    if(limits.max !== null && sf_validation_compare(value, limits.max) > 0) {
+        return sf_validation_get_message(element, "max");
+    }
+
+    const length = typeof value === "string" || Array.isArray(value) ? value.length : null;
+
+    if(length !== null && element.hasAttribute("minlength") && length < Number(element.getAttribute("minlength"))) {
+        return sf_validation_get_message(element, "minlength");
+    }
+
+    if(length !== null && element.hasAttribute("maxlength") && length > Number(element.getAttribute("maxlength"))) {
+        return sf_validation_get_message(element, "maxlength");
     }
-    
-    if(targetElement.attributes) {
-        Array.from(targetElement.attributes)
-            .filter(attribute => attribute.name !== 'bind' && attribute.name !== 'command'
-                && attribute.value.includes('{{') && attribute.value.includes('}}'))
-            .forEach(attribute => targetElement.setAttribute(`sf-model-template:${attribute.name}`, attribute.value));
 
-            if((targetElement.hasAttribute('visible') || targetElement.hasAttribute('invisible'))
-                && window.getComputedStyle(targetElement).getPropertyValue('display')) {
-                const displayValue = window.getComputedStyle(targetElement).getPropertyValue('display');
-                targetElement.setAttribute('sf-visibility-display', displayValue);
-            }
+    if(element.hasAttribute("pattern") && !new RegExp(`^(?:${element.getAttribute("pattern")})$`).test(sf_expression_to_string(value))) {
+        return sf_validation_get_message(element, "pattern");
     }
 
-    Array.from(targetElement.childNodes)
-        .filter(node => node.nodeName !== 'COMPONENT' && !(node instanceof Element && node.hasAttribute('template')))
-        .forEach(sf_model_find_properties);
+    if(element.hasAttribute("validator")) {
+        return sf_validation_call_validator(model, element, value);
+    }
+
+    return null;
 }
 
 /**
- * Update a property within the target element and its child nodes.
- * @param {HTMLElement} targetElement - The target element to update the property within.
- * @param {string} bindableKey - The key of the property to update.
- * @param {*} value - The new value of the property.
- * @return {void}
+ * Call the validator function of a form control: validator="{{checkName}}". The function gets the value and the control,
+ * it returns true (or nothing) for a valid value, false or an error message otherwise, or a promise of them.
+ * @param {*} model - The model.
+ * @param {HTMLElement} element - The form control.
+ * @param {*} value - The value of the bound path.
+ * @return {string|Promise|null} The error message, a promise of it or null if the value is valid.
  */
-function sf_model_update_property(targetElement, bindableKey, value) {
-    targetElement.querySelectorAll(':not(component)').forEach(element => {
-        Array.from(element.attributes)
-            .filter(attribute => attribute.name.startsWith('sf-model-template:') && attribute.value.includes(`{{${bindableKey}}}`))
-            .forEach(attribute => {
-                const targetAttribute = attribute.name.replace('sf-model-template:', '');
-                const newValue = attribute.value.replaceAll(new RegExp(`{{${bindableKey}}}`, 'g'), value);
-                element.setAttribute(targetAttribute, newValue);
-                
-                if(targetAttribute === 'value') {
-                    element.value = newValue;
-                }
+function sf_validation_call_validator(model, element, value) {
+    const validator = sf_expression_render_template(sf_expression_parse_template(element.getAttribute("validator")), model);
 
-                if(targetAttribute === 'visible') {
-                    sf_model_update_visibility(element, value);
-                }
+    if(typeof validator !== "function") {
+        throw new TypeError(`Validator '${element.getAttribute("validator")}' is not a function`);
+    }
 
-                if(targetAttribute === 'invisible') {
-                    sf_model_update_visibility(element, !value);
-                }
+    const result = validator.call(model, value, element);
 
-                if(targetAttribute === 'condition') {
-                    const conditionResult = eval(newValue);
-                    sf_model_update_visibility(element, conditionResult);
-                }
-            });
-    });
+    if(result instanceof Promise) {
+        return result.then(resolved => sf_validation_get_result_message(element, resolved));
+    }
 
-    targetElement.querySelectorAll(`:not(component)[sf-model-content-template*="{{${bindableKey}}}"]`).forEach(element => {
-        const contentTemplate = element.getAttribute('sf-model-content-template'); 
-        // TODO: fix problem with multiple {{props}} in one tag
-        element.firstChild.textContent = contentTemplate.replaceAll(new RegExp(`{{${bindableKey}}}`, 'g'), value);
-    });
+    return sf_validation_get_result_message(element, result);
 }
 
 /**
- * Updates the visibility of an element on the page.
- * @param {HTMLElement} targetElement - The element whose visibility needs to be updated
- * @param {string} value - The value that determines whether the element should be visible or not
- * @return {void}
+ * Convert the result of a validator to an error message.
+ * @param {HTMLElement} element - The form control.
+ * @param {*} result - The result of the validator.
+ * @return {string|null} The error message or null if the value is valid.
  */
-function sf_model_update_visibility(targetElement, value) {
-    if (targetElement.hasAttribute("transparent")) {
-        targetElement.style.visibility = value ? "visible" : "hidden";
-    } else {
-        targetElement.style.display = value
-            ? (targetElement.getAttribute('sf-visibility-display') ?? 'block')
-            : 'none';
+function sf_validation_get_result_message(element, result) {
+    if(result === true || result === undefined || result === null) {
+        return null;
     }
-}
 
-/**
- * Track commands of a model and set event listeners for them within the target element.
- * @param {HTMLElement} targetElement - The target element to track commands within.
- * @param {*} model - The model to track commands for.
- * @return {void}
- */
-function sf_model_track_commands(targetElement, model) {
-    Object.keys(model).forEach(key => {
-        const value = model[key];
-        if (value instanceof Function) {
-            const commandElements = targetElement.querySelectorAll(`[command="{{${key}}}"]`);
-            commandElements.forEach(commandElement => {
-                sf_model_set_command_listener(commandElement, model, value);
-            });
-        }
-    });
+    return typeof result === "string" ? result : sf_validation_get_message(element, "validator");
 }
 
 /**
- * Set an event listener for a command on the target element (for another event set 'commandEvent' attribute, default: click).
- * @param {HTMLElement} targetElement - The target element to set the event listener on.
- * @param {*} model - The model to bind the callback function to.
- * @param {function} callbackFunction - The callback function to call when the event is triggered.
- * @return {void}
+ * Compare a value with the limit of a 'min' or 'max' rule: numbers and dates by their values, other values as strings.
+ * @param {*} value - The value.
+ * @param {string} limit - The limit.
+ * @return {number} A negative number if the value is less than the limit, a positive if it is greater, otherwise 0.
  */
-function sf_model_set_command_listener(targetElement, model, callbackFunction) {
-    const listenerEvent = targetElement.getAttribute("commandEvent") ?? "click";
-    targetElement.addEventListener(listenerEvent, function () {
-        callbackFunction.call(model, {
-            element: targetElement,
-            commandEvent: listenerEvent
-        });
-    }, false);
-}
+function sf_validation_compare(value, limit) {
+    if(value instanceof Date) {
+        return value.getTime() - new Date(limit).getTime();
+    }
 
-/**
- * Track bindings of a model and set event listeners for them within the target element.
- * @param {HTMLElement} targetElement - The target element to track bindings within.
- * @param {*} model - The model to track bindings for.
- * @return {void}
-*/
-function sf_model_track_bindings(targetElement, model) {
-    Object.keys(model).forEach(key => {
-      const value = model[key];
-      if (!(value instanceof Function)) {
-        const bindingElements = targetElement.querySelectorAll(`[bind="{{${key}}}"]`);
-        bindingElements.forEach(bindingElement => {
-          sf_model_set_binding_listener(bindingElement, model, key);
-        });
-      }
-    });
+    if(typeof value === "number") {
+        return value - Number(limit);
+    }
+
+    const text = sf_expression_to_string(value);
+    return text < limit ? -1 : text > limit ? 1 : 0;
 }
 
 /**
- * Set an event listener for a binding on the target element.
- * @param {HTMLElement} targetElement - The target element to set the event listener on.
- * @param {*} model - The model to update when the event is triggered.
- * @param {string} property - The property of the model to update when the event is triggered.
- * @return {void}
+ * Get the error message of a failed rule: the 'validationMessage' attribute of the control or the message
+ * of sf_validation_messages, where '{rule}' is replaced with the value of the rule attribute.
+ * @param {HTMLElement} element - The form control.
+ * @param {string} rule - The failed rule.
+ * @return {string} The error message.
  */
-function sf_model_set_binding_listener(targetElement, model, property) {
-    const listenerEvent = targetElement.getAttribute("bindEvent") ?? "change";
-    targetElement.addEventListener(listenerEvent, function () {
-        model[property].set(targetElement.value);
-    }, false);
+function sf_validation_get_message(element, rule) {
+    const message = element.getAttribute("validationMessage") ?? sf_validation_messages[rule];
+    return message.replace(/{(\w+)}/g, (match, name) => element.getAttribute(name) ?? match);
 }
 
 /**
- * Creates multiple copies of any template from an array of models.
- * @param {HTMLElement} templateElement - The template element to set the multiplier for.
- * @param {Array} targetArray - The target array of model-object to set as a multiplier.
- * @param {string} [display='block'] - The display style to apply to multiplied elements.
+ * Set the validation state of a path and render the bindings of its property and the commands of the model if it has changed.
+ * @param {HTMLElement} targetElement - The target element of the model.
+ * @param {object} validation - The validation state.
+ * @param {string|null} message - The error message or null if the value is valid.
+ * @param {boolean} validating - Whether an async validator is running.
  * @return {void}
  */
-function sf_model_set_multiplier(templateElement, targetArray, display = 'block') {
-    templateElement.style.display = 'none';
-
-    sf_model_set_multiplier_reset(templateElement);
-
-    Array.from(targetArray).forEach((model, index) => {
-        sf_model_set_multiplier_item(model, index);
-    });
-
-    targetArray.synchronize = function() {
-        sf_model_set_multiplier(templateElement, targetArray, display);
-    }
-
-    targetArray.values = function() {
-        return targetArray.slice();
-    }
-    
-    targetArray.push = function(...args) {
-        args.forEach((model) => {
-            sf_model_set_multiplier_item(model, targetArray.length);
-        });
-        return Array.prototype.push.apply(this, args);
-    };
+function sf_validation_set_state(targetElement, validation, message, validating) {
+    const valid = message === null && !validating;
+    const error = validation.touched ? message : null;
 
-    targetArray.pop = function(arrayIndex) {
-        sf_model_unset_multiplier_template(templateElement, arrayIndex);
-        return Array.prototype.pop.apply(this, [arrayIndex]);
-    };
-
-    function sf_model_set_multiplier_item(model, arrayIndex) {
-        const newElement = sf_model_set_multiplier_template_clone(templateElement, arrayIndex, display);
-        sf_model_set_multiplier_model(newElement, model);
-
-        if(sf_model_multiplier_default_functions_allowed) {
-            sf_model_set_multiplier_default_functions(model, arrayIndex);
-        }
+    if(validation.valid === valid && validation.error === error && validation.validating === validating && validation.message === message) {
+        return;
     }
 
-    function sf_model_set_multiplier_default_functions(model, arrayIndex) {
-        model.unset = function() {
-            sf_model_unset_multiplier_template(templateElement, arrayIndex);
-            targetArray.splice(arrayIndex, 1);
-        }
+    validation.valid = valid;
+    validation.error = error;
+    validation.message = message;
+    validation.validating = validating;
 
-        model.getIndex = function() {
-            return arrayIndex;
-        }
+    const entries = Array.from(targetElement.sf_index.get(validation.key) ?? new Set())
+        .filter(entry => entry.type !== "control" && entry.type !== "validation");
 
-        model.getArray = function() {
-            return targetArray;
-        }
-    }
+    sf_model_update_entries(targetElement, new Set(entries));
+    sf_validation_update_commands(targetElement);
 }
 
 /**
- * Unset a multiplier template from page for the specified array index.
- * @param {HTMLElement} targetElement - The target element to unset the multiplier template for.
- * @param {number} arrayIndex - The array index to unset the multiplier template for, 'sf-template-index' attribute.
+ * Block the commands of the model while a bound form control is invalid: they are disabled and not executed
+ * by any element or event. Commands with the 'novalidate' attribute stay enabled.
+ * @param {HTMLElement} targetElement - The target element of the model.
  * @return {void}
  */
-function sf_model_unset_multiplier_template(targetElement, arrayIndex) {
-    targetElement.parentElement.querySelectorAll(`[sf-template-index="${arrayIndex}"]`).forEach(element => {
-        element.remove();
-    });
+function sf_validation_update_commands(targetElement) {
+    if(targetElement.sf_validations.size === 0 && !targetElement.sf_validation_disabled) {
+        return;
+    }
+
+    const valid = sf_validation_is_valid(targetElement);
+    targetElement.sf_validation_disabled = !valid;
+
+    sf_model_query(targetElement, '[command]')
+        .filter(element => !element.hasAttribute("novalidate") && !sf_model_is_nested_template(targetElement, element))
+        .forEach(element => {
+            element.sf_validation_blocked = !valid;
+            sf_model_update_command_state(element);
+        });
 }
 
 /**
- * Set a model for a multiplier template element.
- * @param {HTMLElement} templateElement - The template element to set the model for.
- * @param {*} model - The model to set for the template element.
- * @return {void}
+ * Check if a command is blocked because the model of its element is invalid.
+ * @param {HTMLElement} commandElement - The command element.
+ * @return {boolean} Whether the command is blocked.
  */
-function sf_model_set_multiplier_model(templateElement, model) {
-    sf_model_set(templateElement, model);
-    templateElement.model = model;
+function sf_validation_is_command_blocked(commandElement) {
+    return commandElement.sf_validation_blocked === true;
 }
 
 /**
- * Clone a multiplier template element and set its index, display style.
- * @param {HTMLElement} templateElement - The template element to clone.
- * @param {number} index - The index to set for the cloned element.
- * @param {string} display - The display style to apply to the cloned element.
- * @return {HTMLElement} The cloned template element.
+ * Check if all bound form controls of the target element are valid.
+ * @param {HTMLElement} targetElement - The target element of the model.
+ * @return {boolean} Whether the model is valid, a running async validator makes it invalid.
  */
-function sf_model_set_multiplier_template_clone(templateElement, index, display) {
-    const newElement = templateElement.cloneNode(true);
-    newElement.setAttribute('sf-template-index', index);
-    newElement.style.display = display;
-    templateElement.parentNode.appendChild(newElement);
-    const newName = `${newElement.getAttribute('template')}-${sf_random_string()}`;
-    newElement.setAttribute('template', newName);
-    return newElement;
+function sf_validation_is_valid(targetElement) {
+    return Array.from(targetElement.sf_validations.values()).every(validation => validation.valid);
 }
 
 /**
- * Reset a multiplier by removing all cloned elements.
- * @param {HTMLElement} targetElement - The target element to reset the multiplier for.
+ * Define the validation functions of a model: 'isValid()' and 'validate()', which shows the errors of all controls
+ * and resolves with the validity when async validators are complete. The properties of a rebound model get the validation
+ * states of the target element.
+ * @param {HTMLElement} targetElement - The target element of the model.
+ * @param {*} model - The model.
  * @return {void}
  */
-function sf_model_set_multiplier_reset(targetElement) {
-    targetElement.parentNode.querySelectorAll(`[sf-template-index]`).forEach(element => {
-        element.remove();
+function sf_validation_define_functions(targetElement, model) {
+    targetElement.sf_validations.forEach(validation => {
+        if(validation.path === validation.key && model[validation.key]?.sf_property) {
+            Object.defineProperty(model[validation.key], "validation", { configurable: true, value: validation });
+        }
+    });
+
+    if(!Object.prototype.hasOwnProperty.call(model, "isValid")) {
+        Object.defineProperty(model, "isValid", {
+            configurable: true,
+            value: () => sf_validation_is_valid(targetElement)
+        });
+    }
+
+    if(Object.prototype.hasOwnProperty.call(model, "validate")) {
+        return;
+    }
+
+    Object.defineProperty(model, "validate", {
+        configurable: true,
+        value: () => Promise.all(Array.from(targetElement.sf_validations.values()).map(validation => {
+            validation.touched = true;
+            return sf_validation_validate(targetElement, validation);
+        })).then(() => sf_validation_is_valid(targetElement))
     });
 }
 
@@ -798,31 +4301,77 @@ function sf_model_set_multiplier_reset(targetElement) {
 
 /**
  * Retrieves a shared point object by its name from sf_point_shared_objects variable.
+ * A name with wildcards returns a point that receives the data of all named points that match it:
+ * '*' matches a part of the name between dots ('orders.*'), '**' matches any number of parts ('orders.**').
  * @param {string} name - The name of the shared point to retrieve.
- * @returns {Object} The shared point object with subscribe, unsubscribe, and share methods.
+ * @returns {Object} The shared point object with subscribe, once, unsubscribe, and share methods.
  */
 function sf_point_get(name) {
+    if(name?.includes("*") && !sf_point_shared_objects[name]) {
+        sf_point_set(name);
+    }
+
     return sf_point_shared_objects[name];
 }
 
 /**
  * Creates a shared point object for other code members to subscribe to and listen to.
+ * With the 'replay' option new subscribers get the last shared data, with the 'async' option the data
+ * is delivered in a microtask instead of during share(). An error of a subscriber does not stop the delivery to others.
+ * A name with wildcards makes a point that receives the data of the named points that match it.
+ * Subscriptions with a component or a model as keyContext are removed when the component unloads.
  * @param {string} [name=null] - The name of the point to be shared.
- * @returns {Object} The point object with subscribe(keyContext, callback), unsubscribe(keyContext), and share(data) methods.
+ * @param {object} [options] - The options: { replay: false, async: false }.
+ * @returns {Object} The point object with subscribe(keyContext, callback, options), once(keyContext, callback),
+ * unsubscribe(keyContext), and share(data) methods.
  */
-function sf_point_set(name = null) {
+function sf_point_set(name = null, options = new Object()) {
     const point = {
-        _subscriptions: [],
+        name: name,
+        pattern: name?.includes("*") ? sf_point_create_pattern(name) : null,
+        replay: options.replay ?? false,
+        async: options.async ?? false,
+        _subscriptions: new Map(),
+        _hasValue: false,
+        _lastValue: undefined,
+        _lastName: null,
+
+        subscribe(keyContext, callback, subscribeOptions = new Object()) {
+            const subscription = { callback, keyContext, once: subscribeOptions.once ?? false };
+            const unsubscribe = () => {
+                if(this._subscriptions.get(keyContext) === subscription) {
+                    this._subscriptions.delete(keyContext);
+                }
+            };
+
+            this._subscriptions.set(keyContext, subscription);
+            sf_point_get_owner(keyContext)?.dispose(unsubscribe);
 
-        subscribe(keyContext, callback) {
-            this._subscriptions[keyContext] = {callback, keyContext};
+            if(this.replay && this._hasValue) {
+                sf_point_deliver(this, subscription, this._lastValue, this._lastName);
+            }
+
+            return unsubscribe;
+        },
+        once(keyContext, callback) {
+            return this.subscribe(keyContext, callback, { once: true });
         },
         unsubscribe(keyContext) {
-            delete this._subscriptions[keyContext];
+            this._subscriptions.delete(keyContext);
         },
-        share(data) {
-            Object.values(this._subscriptions)
-                .forEach(({callback, keyContext}) => callback.call(keyContext, data));
+        share(data, sourceName = this.name) {
+            this._hasValue = true;
+            this._lastValue = data;
+            this._lastName = sourceName;
+
+            Array.from(this._subscriptions.values())
+                .forEach(subscription => sf_point_deliver(this, subscription, data, sourceName));
+
+            if(!this.pattern && this.name) {
+                Object.values(sf_point_shared_objects)
+                    .filter(wildcardPoint => wildcardPoint.pattern?.test(this.name))
+                    .forEach(wildcardPoint => wildcardPoint.share(data, this.name));
+            }
         }
     };
 
@@ -833,6 +4382,64 @@ function sf_point_set(name = null) {
     return point;
 }
 
+/**
+ * Deliver shared data to a subscriber, now or in a microtask for async points.
+ * Subscriptions made with 'once' are removed before the delivery.
+ * @param {Object} point - The point object.
+ * @param {Object} subscription - The subscription: callback, keyContext and once.
+ * @param {*} data - The shared data.
+ * @param {string} sourceName - The name of the point the data was shared with.
+ * @return {void}
+ */
+function sf_point_deliver(point, subscription, data, sourceName) {
+    if(subscription.once) {
+        point.unsubscribe(subscription.keyContext);
+    }
+
+    const deliver = () => {
+        try {
+            subscription.callback.call(subscription.keyContext, data, sourceName);
+        } catch (error) {
+            console.error(`Subscriber of the point '${sourceName}' failed`, error);
+        }
+    };
+
+    if(point.async) {
+        queueMicrotask(deliver);
+    } else {
+        deliver();
+    }
+}
+
+/**
+ * Get the component that owns a subscription: the component element itself, the component of a model
+ * or the component whose inline script is running.
+ * @param {*} keyContext - The key context of the subscription.
+ * @return {HTMLElement|null} The component element or null.
+ */
+function sf_point_get_owner(keyContext) {
+    if(keyContext instanceof Element) {
+        return keyContext.tagName === "COMPONENT" ? keyContext : sf_component_get_owner(keyContext);
+    }
+
+    const modelElement = sf_model_elements.get(keyContext);
+    return modelElement ? sf_component_get_owner(modelElement) : sf_component_script_running;
+}
+
+/**
+ * Convert a point name with wildcards to a regular expression.
+ * @param {string} name - The name with wildcards.
+ * @return {RegExp} The regular expression.
+ */
+function sf_point_create_pattern(name) {
+    const source = name
+        .split(/(\*\*|\*)/)
+        .map(part => part === "**" ? ".*" : part === "*" ? "[^.]*" : part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+        .join("");
+
+    return new RegExp(`^${source}$`);
+}
+
 
 /*
     DEPARTMENT -> STATE MANAGER
@@ -855,11 +4462,19 @@ function sf_state_get(name) {
  * @return {void}
  */
 function sf_state_set(name, value, setLocalStorage = false) {
+    const oldValue = sf_state_get(name);
+
     sf_states[name] = value;
 
     if(setLocalStorage) {
         localStorage.setItem(sf_state_ls_prefix + name, value);
     }
+
+    const newValue = sf_state_get(name);
+
+    if(!Object.is(oldValue, newValue)) {
+        sf_state_notify(name, newValue, oldValue);
+    }
 }
 
 /**
@@ -868,8 +4483,106 @@ function sf_state_set(name, value, setLocalStorage = false) {
  * @return {void}
  */
 function sf_state_unset(name) {
+    const oldValue = sf_state_get(name);
+
     delete sf_states[name];
     localStorage.removeItem(sf_state_ls_prefix + name);
+
+    if(oldValue !== undefined) {
+        sf_state_notify(name, undefined, oldValue);
+    }
+}
+
+/**
+ * Subscribes to the changes of a state.
+ * @param {string} name - The name of the state.
+ * @param {function} callback - The function to call with the new and the old value of the state.
+ * @return {function} A function that removes the subscription.
+ */
+function sf_state_subscribe(name, callback) {
+    if(!sf_state_subscriptions.has(name)) {
+        sf_state_subscriptions.set(name, new Set());
+    }
+
+    sf_state_subscriptions.get(name).add(callback);
+    return () => sf_state_unsubscribe(name, callback);
+}
+
+/**
+ * Removes a subscription to the changes of a state.
+ * @param {string} name - The name of the state.
+ * @param {function} callback - The subscribed function.
+ * @return {void}
+ */
+function sf_state_unsubscribe(name, callback) {
+    sf_state_subscriptions.get(name)?.delete(callback);
+}
+
+/**
+ * Notifies the subscribers of a state and renders the templates that use $state again.
+ * @param {string} name - The name of the state.
+ * @param {*} value - The new value of the state.
+ * @param {*} oldValue - The old value of the state.
+ * @return {void}
+ */
+function sf_state_notify(name, value, oldValue) {
+    Array.from(sf_state_subscriptions.get(name) ?? new Set()).forEach(callback => {
+        try {
+            callback(value, oldValue, name);
+        } catch (error) {
+            console.error(`Subscriber of the state '${name}' failed`, error);
+        }
+    });
+
+    sf_state_render();
+}
+
+/**
+ * Renders the templates that use $state again.
+ * @return {void}
+ */
+function sf_state_render() {
+    sf_state_bound_elements.forEach(element => {
+        if(element.isConnected) {
+            sf_model_schedule_update(element, "$state");
+        } else {
+            sf_state_bound_elements.delete(element);
+        }
+    });
+}
+
+/**
+ * Applies the changes of localStorage states made in other browser tabs ('storage' event).
+ * @param {StorageEvent} event - The storage event.
+ * @return {void}
+ */
+function sf_state_sync_storage(event) {
+    if(event.key === null) {
+        const names = Array.from(sf_state_subscriptions.keys());
+
+        if(names.length > 0) {
+            names.forEach(name => sf_state_notify(name, sf_state_get(name), undefined));
+        } else {
+            sf_state_render();
+        }
+        return;
+    }
+
+    if(event.key.startsWith(sf_state_ls_prefix)) {
+        const name = event.key.slice(sf_state_ls_prefix.length);
+        sf_state_notify(name, sf_state_get(name), event.oldValue ?? undefined);
+    }
+}
+
+/**
+ * Creates the $state object of templates: {{$state.user}} shows the value of the 'user' state.
+ * @return {Proxy} The read-only object of the states.
+ */
+function sf_state_create_scope() {
+    return new Proxy(new Object(), {
+        get: (target, name) => typeof name === "string" ? sf_state_get(name) : undefined,
+        set: () => false
+    });
 }
 
 
@@ -892,7 +4605,7 @@ function sf_resource_load_all(callback) {
     const promises = resources.map(element => {
         return new Promise((resolve, reject) => {
             const condition = element.getAttribute("condition");
-            if(condition && !eval(condition)) {
+            if(condition && !sf_resource_check_condition(condition)) {
                 resolve();
             } else {
                 const source = element.getAttribute("src");
@@ -922,6 +4635,31 @@ function sf_resource_load_all(callback) {
         .catch(() => console.log('Some resources could not be loaded'));
 }
 
+/**
+ * Evaluates the condition of a resource, only the values of 'sf_expression_globals' are available in it.
+ * A condition that uses other names is invalid.
+ * @param {string} condition - The condition expression, e.g. "language == 'de'".
+ * @returns {boolean} Whether the resource should be loaded, false if the condition is invalid.
+ */
+function sf_resource_check_condition(condition) {
+    try {
+        const expression = sf_expression_parse(condition);
+        const keys = new Set();
+
+        sf_expression_collect_keys(expression, keys);
+
+        const unknownKeys = Array.from(keys).filter(key => !Object.prototype.hasOwnProperty.call(sf_expression_globals, key));
+        if(unknownKeys.length > 0) {
+            throw new Error(`Unknown names: ${unknownKeys.join(", ")}, add them with sf_expression_add_global`);
+        }
+
+        return Boolean(sf_expression_evaluate(expression, new Object()));
+    } catch (error) {
+        console.error(`Resource condition '${condition}' failed`, error);
+        return false;
+    }
+}
+
 /**
  * Retrieves a specific resource from the common dictionary.
  * @param {string} dictionaryNameKey - The key of the dictionary in which to look for the resource.
@@ -933,6 +4671,102 @@ function sf_resource_get(dictionaryNameKey, internalResourceKey, defaultValue =
     return sf_resource_content[dictionaryNameKey][internalResourceKey] ?? defaultValue;
 }
 
+/*
+    DEPARTMENT -> STYLES
+*/
+
+/**
+ * Scope the selectors of style rules, rules of @media, @supports, @container and @layer blocks are scoped too.
+ * @param {CSSRuleList} rules - The rules to scope.
+ * @param {string} scopeAttribute - The attribute of the scoped elements.
+ * @param {string} hostAttribute - The attribute of the host element, used for `:host`.
+ * @return {void}
+ */
+function sf_style_scope_rules(rules, scopeAttribute, hostAttribute) {
+    for (const rule of rules) {
+        if(rule instanceof CSSStyleRule) {
+            rule.selectorText = sf_style_split_selector(rule.selectorText, ",")
+                .map(selector => sf_style_scope_selector(selector, scopeAttribute, hostAttribute))
+                .join(", ");
+        } else if(rule.cssRules && rule.type !== CSSRule.KEYFRAMES_RULE) {
+            sf_style_scope_rules(rule.cssRules, scopeAttribute, hostAttribute);
+        }
+    }
+}
+
+/**
+ * Scope a complex selector: `:host` is replaced with the host attribute, the last compound selector gets the scope attribute.
+ * @param {string} selector - A complex selector without top-level commas.
+ * @param {string} scopeAttribute - The attribute of the scoped elements.
+ * @param {string} hostAttribute - The attribute of the host element.
+ * @return {string} The scoped selector.
+ */
+function sf_style_scope_selector(selector, scopeAttribute, hostAttribute) {
+    selector = selector.trim()
+        .replace(/:host\(([^()]*)\)/g, `[${hostAttribute}]$1`)
+        .replace(/:host(?![\w-])/g, `[${hostAttribute}]`);
+
+    const compounds = sf_style_split_selector(selector, " >+~");
+    const lastCompound = compounds[compounds.length - 1];
+    const lastStart = selector.length - lastCompound.length;
+
+    if(lastCompound.includes(`[${hostAttribute}]`)) {
+        return selector;
+    }
+
+    const pseudoElement = lastCompound.search(/::|:(before|after|first-line|first-letter)(?![\w-])/);
+    const position = lastStart + (pseudoElement === -1 ? lastCompound.length : pseudoElement);
+
+    return `${selector.slice(0, position)}[${scopeAttribute}]${selector.slice(position)}`;
+}
+
+/**
+ * Split a selector by separator characters outside of brackets, parentheses and quotes.
+ * @param {string} selector - The selector to split.
+ * @param {string} separators - The separator characters.
+ * @return {string[]} The non-empty parts of the selector.
+ */
+function sf_style_split_selector(selector, separators) {
+    const parts = new Array();
+    let depth = 0;
+    let quote = null;
+    let part = "";
+
+    for (let i = 0; i < selector.length; i++) {
+        const char = selector[i];
+
+        if(quote) {
+            if(char === "\\") {
+                part += char + (selector[++i] ?? "");
+                continue;
+            }
+            if(char === quote) {
+                quote = null;
+            }
+        } else if(char === '"' || char === "'") {
+            quote = char;
+        } else if(char === "(" || char === "[") {
+            depth++;
+        } else if(char === ")" || char === "]") {
+            depth--;
+        } else if(depth === 0 && separators.includes(char)) {
+            if(part.trim()) {
+                parts.push(part.trim());
+            }
+            part = "";
+            continue;
+        }
+
+        part += char;
+    }
+
+    if(part.trim()) {
+        parts.push(part.trim());
+    }
+
+    return parts;
+}
+
 /*
     DEPARTMENT -> OTHER UTILS
 */
@@ -945,6 +4779,44 @@ function sf_random_string() {
     return Math.random().toString(36).slice(2, 11);
 }
 
+/**
+ * Runs a callback when the browser is idle (falls back to a timeout in browsers without requestIdleCallback).
+ * @param {function} callback - The function to run.
+ * @return {void}
+ */
+function sf_run_idle(callback) {
+    if(window.requestIdleCallback) {
+        window.requestIdleCallback(() => callback());
+    } else {
+        setTimeout(callback, 1);
+    }
+}
+
+/**
+ * Converts a value to a type: 'string', 'number', 'boolean', 'date' or 'json'. Values of other types are returned unchanged.
+ * Strings 'false' and '0' are false, an empty string (an attribute without a value) is true.
+ * Empty values are null as numbers and dates.
+ * @param {*} value - The value to convert.
+ * @param {string} [type] - The type to convert to.
+ * @return {*} The converted value.
+ */
+function sf_convert_value(value, type) {
+    switch (type) {
+        case "string":
+            return value === null || value === undefined ? "" : String(value);
+        case "number":
+            return value === null || value === undefined || value === "" ? null : Number(value);
+        case "boolean":
+            return typeof value === "string" ? value !== "false" && value !== "0" : Boolean(value);
+        case "date":
+            return value === null || value === undefined || value === "" ? null : new Date(value);
+        case "json":
+            return typeof value === "string" ? JSON.parse(value) : value;
+        default:
+            return value;
+    }
+}
+
 /**
  * Pauses the execution of code for a specified amount of time.
  * @param {number} milliseconds - The number of milliseconds to pause execution.